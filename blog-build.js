@@ -2,13 +2,501 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { pathToFileURL } = require('url');
 const { marked } = require('marked');
+const yaml = require('js-yaml');
+const hljs = require('highlight.js');
+const textAnalysis = require('./src/text-analysis');
+
+/**
+ * Directory holding page layouts and the partials they include
+ */
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+/**
+ * List the layouts available in templates/layouts
+ */
+function listLayouts() {
+    return fs.readdirSync(path.join(TEMPLATES_DIR, 'layouts'))
+        .filter(file => file.endsWith('.html'))
+        .map(file => file.replace(/\.html$/, ''));
+}
+
+/**
+ * Front matter schema: every known key with its type and whether it is required
+ */
+const FRONT_MATTER_SCHEMA = {
+    title: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    updated: { type: 'date' },
+    category: { type: 'string', required: true },
+    excerpt: { type: 'string' },
+    description: { type: 'string' },
+    tags: { type: 'string[]' },
+    author: { type: 'string' },
+    layout: { type: 'string', oneOf: () => listLayouts() },
+    cover: { type: 'string' },
+    coverAlt: { type: 'string' },
+    toc: { type: 'boolean', oneOf: ['inline', 'sidebar'] },
+    draft: { type: 'boolean' }
+};
+
+/**
+ * Name of the incremental build manifest, written to the output directory,
+ * and its format version (older manifests are ignored, rebuilding every page)
+ */
+const MANIFEST_FILENAME = '.build-manifest.json';
+const MANIFEST_VERSION = 2;
+
+/**
+ * Site-wide settings used for absolute URLs and feeds. site.config.json
+ * next to this script overrides any of them.
+ */
+const SITE_CONFIG_PATH = path.join(__dirname, 'site.config.json');
+const DEFAULT_SITE_CONFIG = {
+    url: 'http://localhost:8000',
+    title: 'Blog',
+    description: '',
+    author: 'Prashish Phunyal',
+    language: 'en',
+    image: '',
+    previewTheme: 'light',
+    feedLimit: 20,
+    categories: [],
+    externalLinkAllowlist: []
+};
+
+/**
+ * Colours a category may use: hex, rgb()/hsl() or a CSS colour name
+ */
+const CATEGORY_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%]+\)|[a-z]+)$/i;
+
+/**
+ * Read site.config.json over the defaults
+ */
+function loadSiteConfig() {
+    let config = {};
+    if (fs.existsSync(SITE_CONFIG_PATH)) {
+        try {
+            config = JSON.parse(fs.readFileSync(SITE_CONFIG_PATH, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ${path.basename(SITE_CONFIG_PATH)}: ${error.message}`);
+        }
+    }
+
+    const site = { ...DEFAULT_SITE_CONFIG, ...config };
+    site.url = String(site.url).replace(/\/+$/, '');
+    site.categories = loadCategories(site.categories);
+    return site;
+}
+
+/**
+ * Validate the `categories` list from site.config.json and fill in
+ * defaults: the name falls back to the slug and the order to the position
+ * in the list. Returned sorted by order.
+ */
+function loadCategories(categories) {
+    const invalid = message => new Error(`Invalid ${path.basename(SITE_CONFIG_PATH)}: ${message}`);
+
+    if (!Array.isArray(categories)) {
+        throw invalid('"categories" must be a list');
+    }
+
+    return categories.map((category, index) => {
+        if (!category || typeof category.slug !== 'string' || !/^[a-z0-9-]+$/.test(category.slug)) {
+            throw invalid(`categories[${index}] needs a "slug" of lowercase letters, digits and dashes`);
+        }
+        if (category.color && !CATEGORY_COLOR_PATTERN.test(category.color)) {
+            throw invalid(`category "${category.slug}" has an invalid color ${JSON.stringify(category.color)}`);
+        }
+        if (categories.findIndex(other => other && other.slug === category.slug) !== index) {
+            throw invalid(`category "${category.slug}" is defined twice`);
+        }
+
+        return {
+            slug: category.slug,
+            name: category.name || category.slug,
+            description: category.description || '',
+            color: category.color || '',
+            order: Number.isFinite(category.order) ? category.order : index
+        };
+    }).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Languages tried when a code fence does not name one, and the minimum
+ * highlight.js relevance for a guess to be trusted
+ */
+const AUTO_DETECT_LANGUAGES = [
+    'bash', 'c', 'cpp', 'css', 'go', 'java', 'javascript', 'json', 'markdown', 'python',
+    'rust', 'shell', 'sql', 'typescript', 'xml', 'yaml'
+];
+const AUTO_DETECT_MIN_RELEVANCE = 5;
+
+/**
+ * Table of contents: deepest heading level listed, and the fewest headings
+ * a post needs before it gets one
+ */
+const TOC_MAX_LEVEL = 3;
+const TOC_MIN_HEADINGS = 3;
+
+/**
+ * Callout types for "> [!TYPE]" blockquotes, with their default titles
+ */
+const CALLOUT_TYPES = {
+    note: 'Note',
+    tip: 'Tip',
+    important: 'Important',
+    warning: 'Warning',
+    caution: 'Caution',
+    definition: 'Definition'
+};
+
+/**
+ * Related posts: how many a post lists, and the score of each shared tag
+ * (a shared category scores 1)
+ */
+const RELATED_POSTS_LIMIT = 3;
+const RELATED_TAG_SCORE = 2;
+
+/**
+ * Social preview images: size, and the stylesheet and avatar they are drawn from
+ */
+const PREVIEW_WIDTH = 1200;
+const PREVIEW_HEIGHT = 630;
+const STYLESHEET_PATH = path.join(__dirname, 'src', 'style.css');
+const AVATAR_PATH = path.join(__dirname, 'src', 'assets', 'prashish.png');
+
+/**
+ * Responsive images: the widths and formats generated for raster images in
+ * posts, and the width they are shown at (the post column is 720px wide)
+ */
+const IMAGE_WIDTHS = [480, 720, 1080, 1440];
+const IMAGE_FORMATS = { avif: { quality: 50 }, webp: { quality: 75 } };
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'];
+const IMAGE_SIZES = '(max-width: 768px) 100vw, 720px';
+
+/**
+ * Diagrams: fenced ```mermaid and ```dot (or ```graphviz) blocks become
+ * inline SVG, drawn once per site theme in that theme's colours and cached
+ * on disk by a hash of their source
+ */
+const DIAGRAM_LANGUAGES = { mermaid: 'mermaid', dot: 'dot', graphviz: 'dot' };
+const DIAGRAM_THEMES = {
+    light: { mermaidTheme: 'default', color: '#1f2937' },
+    dark: { mermaidTheme: 'dark', color: '#e6edf3' }
+};
+const DIAGRAM_FONT = 'Helvetica,Arial,sans-serif';
+const DIAGRAM_CACHE_DIR = path.join(__dirname, '.diagram-cache');
+// Bumped when the SVG written to the cache changes shape, so older entries
+// are drawn again
+const DIAGRAM_CACHE_VERSION = 2;
+
+/**
+ * Link checker: external links that passed are cached in the posts
+ * directory and not requested again for a week
+ */
+const LINK_CACHE_FILENAME = '.link-cache.json';
+const LINK_CACHE_MAX_AGE_DAYS = 7;
+const LINK_CHECK_TIMEOUT = 10000;
+const LINK_CHECK_CONCURRENCY = 4;
+
+/**
+ * Load KaTeX for math rendering. Only posts that contain math need it.
+ */
+function loadKatex() {
+    try {
+        return require('katex');
+    } catch (error) {
+        throw new Error('This post contains math, which needs KaTeX: run "npm install katex"');
+    }
+}
+
+/**
+ * KaTeX's stylesheet and fonts are copied into this directory next to the
+ * pages with math, so they load from the site itself
+ */
+const KATEX_ASSETS_DIRNAME = 'katex';
+const KATEX_STYLESHEET = `${KATEX_ASSETS_DIRNAME}/katex.min.css`;
+
+/**
+ * Copy the installed KaTeX's stylesheet and the fonts it references to
+ * outputDir/katex, unless the copy there is already up to date
+ */
+function writeKatexAssets(outputDir) {
+    const sourceDir = path.dirname(require.resolve('katex'));
+    const targetDir = path.join(outputDir, KATEX_ASSETS_DIRNAME);
+    const stylesheet = fs.readFileSync(path.join(sourceDir, 'katex.min.css'));
+    const targetPath = path.join(outputDir, KATEX_STYLESHEET);
+
+    if (fs.existsSync(targetPath) && fs.readFileSync(targetPath).equals(stylesheet)) {
+        return;
+    }
+
+    fs.rmSync(targetDir, { recursive: true, force: true });
+    fs.cpSync(path.join(sourceDir, 'fonts'), path.join(targetDir, 'fonts'), { recursive: true });
+    fs.writeFileSync(targetPath, stylesheet);
+    console.log(`🧮 Copied KaTeX ${loadKatex().version} stylesheet and fonts to ${targetDir}`);
+}
+
+/**
+ * Load Graphviz, compiled to WebAssembly, for posts with ```dot diagrams
+ */
+function loadGraphviz() {
+    try {
+        return require('@viz-js/viz');
+    } catch (error) {
+        throw new Error('This post contains a dot diagram, which needs Graphviz: run "npm install @viz-js/viz"');
+    }
+}
+
+/**
+ * Load Mermaid's renderer (an ES module) and the headless browser it draws
+ * in, for posts with ```mermaid diagrams
+ */
+async function loadMermaid() {
+    try {
+        const { renderMermaid } = await import(pathToFileURL(require.resolve('@mermaid-js/mermaid-cli')).href);
+        return { renderMermaid, puppeteer: require('puppeteer') };
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('This post contains a Mermaid diagram, which needs Mermaid CLI: run "npm install @mermaid-js/mermaid-cli"');
+    }
+}
+
+/**
+ * Load the optional SVG rasterizer used for preview images, or null when
+ * @resvg/resvg-js is not installed
+ */
+function loadRasterizer() {
+    try {
+        return require('@resvg/resvg-js').Resvg;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load the optional image processor used for responsive images, or null
+ * when sharp is not installed
+ */
+function loadImageProcessor() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Invalid front matter, with one { line, message } problem per mistake
+ */
+class FrontMatterError extends Error {
+    constructor(filePath, problems) {
+        super(`${problems.length} front matter problem(s) in ${filePath}`);
+        this.name = 'FrontMatterError';
+        this.filePath = filePath;
+        this.problems = problems;
+    }
+
+    /**
+     * Format problems as file:line: message, one per line
+     */
+    format() {
+        return this.problems
+            .map(({ line, message }) => `${this.filePath}${line ? `:${line}` : ''}: ${message}`)
+            .join('\n');
+    }
+}
+
+/**
+ * Context-aware escaping for values interpolated into generated HTML.
+ * Templates receive this object as `escape`.
+ */
+const escape = {
+    /**
+     * Escape text placed between tags
+     */
+    html(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    },
+
+    /**
+     * Escape a value placed inside a double- or single-quoted attribute
+     */
+    attr(value) {
+        return escape.html(value)
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Escape a URL for an href/src attribute, replacing script URLs with "#"
+     */
+    url(value, { allowDataImages = false } = {}) {
+        const url = sanitizeUrl(value, { allowDataImages });
+        return escape.attr(url === null ? '#' : url);
+    },
+
+    /**
+     * Serialize a value as JSON that is safe inside a <script> element
+     */
+    json(value) {
+        return JSON.stringify(value, null, 2)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+};
+
+/**
+ * URL schemes allowed in links and images; anything else with a scheme
+ * (javascript:, vbscript:, data:, ...) is rejected
+ */
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Decode the character references marked and authors commonly produce
+ */
+function decodeEntities(text) {
+    return String(text ?? '')
+        .replace(/&#(\d+);?/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);?/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Return a URL that is safe to link to, or null when its scheme is not
+ * allowed. Data URLs are only accepted for raster images.
+ */
+function sanitizeUrl(value, { allowDataImages = false } = {}) {
+    const url = decodeEntities(value).trim();
+    // Browsers ignore whitespace and control characters inside the scheme
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000- ]/g, ''));
+
+    if (scheme) {
+        const name = scheme[1].toLowerCase();
+        const isDataImage = name === 'data' && /^data:image\/(png|jpe?g|gif|webp|avif);/i.test(url);
+        if (!SAFE_URL_SCHEMES.includes(name) && !(allowDataImages && isDataImage)) {
+            return null;
+        }
+    }
+
+    return url.replace(/[\s"'<>`]/g, character => encodeURIComponent(character));
+}
+
+/**
+ * Tags and attributes kept by the raw HTML sanitizer (--sanitize)
+ */
+const SANITIZER_ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+    'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+    'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time',
+    'tr', 'u', 'ul', 'var'
+]);
+const SANITIZER_ALLOWED_ATTRIBUTES = new Set([
+    'alt', 'align', 'cite', 'class', 'colspan', 'datetime', 'dir', 'height', 'href', 'id',
+    'lang', 'loading', 'open', 'rowspan', 'src', 'title', 'width'
+]);
+const SANITIZER_URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+const SANITIZER_VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+/**
+ * Elements removed together with everything inside them
+ */
+const SANITIZER_DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template',
+    'noscript', 'textarea', 'select', 'title', 'svg', 'math'
+]);
+
+/**
+ * Reduce a fragment of raw HTML from markdown to an allowlist of tags and
+ * attributes. Unknown tags are removed but their text is kept; event
+ * handlers, styles and unsafe URLs are always dropped.
+ */
+function sanitizeHtml(html) {
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][a-z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    const escapeText = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    let output = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(html))) {
+        output += escapeText(html.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        const [, closing, rawName, rawAttributes] = match;
+        if (!rawName) continue; // comment
+
+        const name = rawName.toLowerCase();
+
+        if (SANITIZER_DROPPED_TAGS.has(name)) {
+            if (!closing) {
+                const end = html.toLowerCase().indexOf(`</${name}`, lastIndex);
+                lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+                tagPattern.lastIndex = lastIndex;
+            }
+            continue;
+        }
+
+        if (!SANITIZER_ALLOWED_TAGS.has(name)) continue;
+
+        if (closing) {
+            if (!SANITIZER_VOID_TAGS.has(name)) output += `</${name}>`;
+            continue;
+        }
+
+        const attributePattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let attributes = '';
+        let attribute;
+
+        while ((attribute = attributePattern.exec(rawAttributes))) {
+            const attributeName = attribute[1].toLowerCase();
+            if (!SANITIZER_ALLOWED_ATTRIBUTES.has(attributeName)) continue;
+
+            let value = decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? '');
+            if (SANITIZER_URL_ATTRIBUTES.has(attributeName)) {
+                value = sanitizeUrl(value, { allowDataImages: name === 'img' && attributeName === 'src' });
+                if (value === null) continue;
+            }
+
+            attributes += ` ${attributeName}="${escape.attr(value)}"`;
+        }
+
+        output += `<${name}${attributes}>`;
+    }
+
+    return output + escapeText(html.slice(lastIndex));
+}
 
 /**
  * Simple and reliable markdown to HTML converter using the marked library
  */
 class MarkdownConverter {
-    constructor() {
+    /**
+     * Options:
+     *   sanitize - pass raw HTML inside markdown through sanitizeHtml
+     *   drafts   - also build drafts and scheduled posts, for previewing
+     *   site     - site settings (default: site.config.json)
+     */
+    constructor(options = {}) {
+        this.options = { sanitize: false, drafts: false, site: loadSiteConfig(), ...options };
+        this.site = this.options.site;
+
         // Configure marked for better HTML output
         marked.setOptions({
             gfm: true, // GitHub flavored markdown
@@ -21,349 +509,3139 @@ class MarkdownConverter {
             mangle: false
         });
 
-        // Custom renderer for image processing
-        const renderer = new marked.Renderer();
-        const originalImage = renderer.image;
-        
-        renderer.image = function(href, title, text) {
-            // Process image path for proper relative linking
-            let processedHref = href;
-            
-            // If it's a relative path starting with images/ or assets/
-            if (href.startsWith('images/') || href.startsWith('assets/')) {
-                processedHref = `../src/assets/${href}`;
-            } 
-            // If it's already a relative path to src/assets/
-            else if (href.startsWith('src/assets/')) {
-                processedHref = `../${href}`;
-            }
-            // If it's just a filename, assume it's in the images directory
-            else if (!href.startsWith('http') && !href.startsWith('/') && !href.startsWith('../')) {
-                processedHref = `../src/assets/images/${href}`;
-            }
-            
-            // Generate HTML with proper attributes
-            let html = `<img src="${processedHref}" alt="${text || ''}"`;
-            
-            if (title) {
-                html += ` title="${title}"`;
+        // Custom renderer for image processing
+        const renderer = new marked.Renderer();
+        const originalImage = renderer.image;
+        const converter = this;
+        
+        renderer.image = function(href, title, text) {
+            const processedHref = converter.resolveImagePath(href);
+            const image = converter.images.get(processedHref) || {};
+
+            // marked hands over alt and title already escaped; normalize them
+            // to plain text so they are escaped exactly once per context
+            const alt = converter.htmlToText(text || '');
+            const caption = converter.htmlToText(title || '');
+
+            // Generate HTML with proper attributes
+            let html = `<img src="${escape.url(processedHref, { allowDataImages: true })}" alt="${escape.attr(alt)}"`;
+            
+            if (caption) {
+                html += ` title="${escape.attr(caption)}"`;
+            }
+
+            // Known dimensions let the browser reserve space before it loads
+            if (image.width) {
+                html += ` width="${image.width}" height="${image.height}"`;
+            }
+            
+            html += ' loading="lazy" decoding="async">';
+
+            // Offer the generated AVIF and WebP variants, best format first
+            if (image.sources && image.sources.length > 0) {
+                const sources = image.sources
+                    .map(source => `<source type="${source.type}" srcset="${escape.attr(source.srcset)}" sizes="${IMAGE_SIZES}">`)
+                    .join('');
+                html = `<picture>${sources}${html}</picture>`;
+            }
+            
+            // If there's a title, wrap in figure with caption
+            if (caption) {
+                html = `<figure class="image-container">
+                    ${html}
+                    <figcaption>${escape.html(caption)}</figcaption>
+                </figure>`;
+            }
+            
+            return html;
+        };
+
+        // Compiled layouts and partials, keyed by "kind/name"
+        this.templateCache = new Map();
+        this.warnedMissingRasterizer = false;
+        this.warnedMissingImageProcessor = false;
+
+        // Responsive image details and rendered diagrams for the post being
+        // rendered, set by renderMarkdown
+        this.images = new Map();
+        this.diagrams = new Map();
+        this.graphviz = null;
+
+        // Per-render math and footnote state, reset by renderMarkdown
+        this.mathOutput = 'htmlAndMathml';
+        this.equationNumbers = new Map();
+        this.footnotes = new Map();
+
+        // Links get the same URL check as images so [x](javascript:...) is inert
+        renderer.link = function(href, title, text) {
+            const caption = converter.htmlToText(title || '');
+            return `<a href="${escape.url(href)}"${caption ? ` title="${escape.attr(caption)}"` : ''}>${text}</a>`;
+        };
+
+        // Fenced code is highlighted at build time
+        renderer.code = function(code, infostring) {
+            const language = DIAGRAM_LANGUAGES[converter.parseCodeFence(infostring).language];
+            const diagram = language && converter.diagrams.get(converter.diagramKey(language, code));
+
+            return diagram ? converter.renderDiagram(code, infostring, diagram) : converter.renderCodeBlock(code, infostring);
+        };
+
+        // Raw HTML written in markdown is trusted unless sanitizing
+        renderer.html = function(html) {
+            return converter.options.sanitize ? sanitizeHtml(html) : html;
+        };
+
+        // Give every heading a stable id so search results and the table of
+        // contents can deep-link to it, plus an anchor link shown on hover
+        this.headingSlugger = this.createSlugger();
+
+        renderer.heading = function(text, level) {
+            const id = converter.headingSlugger(converter.headingText(text));
+            const anchor = `<a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a>`;
+            return `<h${level} id="${id}">${text} ${anchor}</h${level}>\n`;
+        };
+
+        marked.setOptions({ renderer });
+        marked.use({
+            extensions: [
+                ...this.createMathExtensions(),
+                ...this.createFootnoteExtensions(),
+                this.createCalloutExtension(),
+                this.createDefinitionListExtension()
+            ],
+            tokenizer: this.createBlockquoteTokenizer()
+        });
+    }
+
+    /**
+     * marked extensions for TeX math, rendered with KaTeX at build time:
+     *
+     *   $inline$                 inline math
+     *   $$ display $$            display math, numbered (1), (2), ... unless
+     *                            it contains \notag, \nonumber or \tag{...}
+     *   \label{name}             inside display math, names the equation
+     *   \eqref{name}, \ref{name} in text, link to it as "(1)" or "1"
+     */
+    createMathExtensions() {
+        const converter = this;
+
+        const renderMath = (tex, displayMode) => {
+            try {
+                return loadKatex().renderToString(tex, { displayMode, output: converter.mathOutput, throwOnError: true });
+            } catch (error) {
+                throw new Error(`Invalid math "${tex.trim()}": ${error.message.replace(/^KaTeX parse error: /, '')}`);
+            }
+        };
+
+        const blockMath = {
+            name: 'blockMath',
+            level: 'block',
+            start(src) {
+                const match = /^ {0,3}\$\$/m.exec(src);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = /^ {0,3}\$\$([\s\S]+?)\$\$ *(?:\n+|$)/.exec(src);
+                if (!match) return undefined;
+
+                const label = /\\label\{([^}]*)\}/.exec(match[1]);
+                const tag = /\\tag\*?\{([^}]*)\}/.exec(match[1]);
+                return {
+                    type: 'blockMath',
+                    raw: match[0],
+                    text: match[1].replace(/\\label\{[^}]*\}|\\notag\b|\\nonumber\b/g, '').trim(),
+                    label: label ? label[1].trim() : null,
+                    tag: tag ? tag[1] : null,
+                    numbered: !tag && !/\\(notag|nonumber)\b/.test(match[1])
+                };
+            },
+            renderer(token) {
+                const tex = token.number ? `${token.text}\\tag{${token.number}}` : token.text;
+                const id = token.label ? ` id="${escape.attr(converter.equationId(token.label))}"` : '';
+                return `<div class="math math-display"${id}>${renderMath(tex, true)}</div>\n`;
+            }
+        };
+
+        const inlineMath = {
+            name: 'inlineMath',
+            level: 'inline',
+            start(src) {
+                const index = src.search(/(?<!\\)\$/);
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                // Like pandoc: no space just inside the dollars and no digit
+                // right after the closing one, so "$5 and $10" stays text
+                const match = /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+                if (!match) return undefined;
+                return { type: 'inlineMath', raw: match[0], text: match[1] };
+            },
+            renderer(token) {
+                return `<span class="math math-inline">${renderMath(token.text, false)}</span>`;
+            }
+        };
+
+        const equationReference = {
+            name: 'equationReference',
+            level: 'inline',
+            start(src) {
+                const index = src.search(/\\(?:eq)?ref\{/);
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                const match = /^\\(eq)?ref\{([^}]+)\}/.exec(src);
+                if (!match) return undefined;
+                return { type: 'equationReference', raw: match[0], label: match[2].trim(), parenthesized: Boolean(match[1]) };
+            },
+            renderer(token) {
+                const number = converter.equationNumbers.get(token.label);
+                if (number === undefined) {
+                    throw new Error(`Unknown equation label "${token.label}" in ${token.raw}`);
+                }
+
+                const text = token.parenthesized ? `(${number})` : number;
+                return `<a href="#${escape.attr(converter.equationId(token.label))}" class="equation-ref">${escape.html(text)}</a>`;
+            }
+        };
+
+        return [blockMath, inlineMath, equationReference];
+    }
+
+    /**
+     * marked extensions for footnotes:
+     *
+     *   text[^label]             reference, numbered 1, 2, ... in order of
+     *                            first use and linked to its note
+     *   [^label]: note text      definition, anywhere in the post; indent
+     *       more paragraphs      further paragraphs by four spaces
+     *
+     * Notes are listed at the end of the post by renderFootnotes, each with
+     * a link back to every reference.
+     */
+    createFootnoteExtensions() {
+        const converter = this;
+
+        const footnoteDefinition = {
+            name: 'footnoteDefinition',
+            level: 'block',
+            start(src) {
+                const match = /^ {0,3}\[\^[^\]\s]+\]:/m.exec(src);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n+(?: {4}|\t)[^\n]*)*)(?:\n+|$)/.exec(src);
+                if (!match) return undefined;
+
+                const token = { type: 'footnoteDefinition', raw: match[0], label: match[1], tokens: [] };
+                this.lexer.blockTokens(match[2].replace(/^(?: {4}|\t)/gm, ''), token.tokens);
+                return token;
+            },
+            renderer() {
+                // Rendered with the other notes at the end of the post
+                return '';
+            }
+        };
+
+        const footnoteReference = {
+            name: 'footnoteReference',
+            level: 'inline',
+            start(src) {
+                const index = src.indexOf('[^');
+                return index === -1 ? undefined : index;
+            },
+            tokenizer(src) {
+                const match = /^\[\^([^\]\s]+)\](?!:)/.exec(src);
+                if (!match) return undefined;
+                return { type: 'footnoteReference', raw: match[0], label: match[1] };
+            },
+            renderer(token) {
+                const slug = converter.footnoteSlug(token.label);
+                const id = token.referenceIndex > 1 ? `fnref-${slug}-${token.referenceIndex}` : `fnref-${slug}`;
+                return `<sup class="footnote-ref"><a href="#fn-${slug}" id="${id}" role="doc-noteref">${token.number ?? ''}</a></sup>`;
+            }
+        };
+
+        return [footnoteDefinition, footnoteReference];
+    }
+
+    /**
+     * marked extension for GitHub-style callouts: a blockquote starting
+     * with [!NOTE], [!TIP], [!IMPORTANT], [!WARNING], [!CAUTION] or
+     * [!DEFINITION], optionally followed by a custom title:
+     *
+     *   > [!WARNING] Not for passwords
+     *   > A single fast hash is easy to brute-force.
+     *
+     * Other blockquotes are left alone.
+     */
+    createCalloutExtension() {
+        return {
+            name: 'callout',
+            level: 'block',
+            childTokens: ['titleTokens', 'tokens'],
+            tokenizer(src) {
+                const match = /^ {0,3}> ?\[!([a-z]+)\][ \t]*([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/i.exec(src);
+                if (!match || !CALLOUT_TYPES[match[1].toLowerCase()]) return undefined;
+
+                const calloutType = match[1].toLowerCase();
+                const token = { type: 'callout', raw: match[0], calloutType, titleTokens: [], tokens: [] };
+                this.lexer.inline(match[2].trim() || CALLOUT_TYPES[calloutType], token.titleTokens);
+                this.lexer.blockTokens(match[3].replace(/^ {0,3}> ?/gm, ''), token.tokens);
+                return token;
+            },
+            renderer(token) {
+                return `<aside class="callout callout-${token.calloutType}" role="note">\n` +
+                    `<p class="callout-title">${this.parser.parseInline(token.titleTokens)}</p>\n` +
+                    `${this.parser.parse(token.tokens)}</aside>\n`;
+            }
+        };
+    }
+
+    /**
+     * marked blockquote tokenizer that keeps lazy continuation lines (ones
+     * without a leading ">") from starting a definition list: such a line
+     * only continues the quoted paragraph, so a leading ":" is escaped
+     * before the quote's contents are lexed
+     */
+    createBlockquoteTokenizer() {
+        return {
+            blockquote(src) {
+                const cap = this.rules.block.blockquote.exec(src);
+                if (!cap) return false;
+
+                const text = cap[0].replace(/^(?: *>[ \t]?| {0,3}(?=:))/gm, quote => quote.includes('>') ? '' : `${quote}\\`);
+                const top = this.lexer.state.top;
+                this.lexer.state.top = true;
+                const tokens = this.lexer.blockTokens(text);
+                this.lexer.state.top = top;
+                return { type: 'blockquote', raw: cap[0], tokens, text };
+            }
+        };
+    }
+
+    /**
+     * marked extension for definition lists: one or more term lines, each
+     * followed by one or more ": definition" lines (continuation lines
+     * indented), with groups separated by blank lines:
+     *
+     *   Hash function
+     *   : Maps input of any length to a fixed-size digest
+     */
+    createDefinitionListExtension() {
+        // Terms are plain paragraph lines: a line that opens another block
+        // (fence, list item, heading, quote, HTML, rule, setext underline,
+        // table row or a definition) is never taken for one
+        const blockOpener = /[`~]{3}|[*+-][ \t]|\d{1,9}[.)][ \t]|#{1,6}(?:[ \t]|\n)|>|<[A-Za-z\/!?]|(?:[-*_][ \t]*){3,}\n|=+[ \t]*\n|:[ \t]/;
+        const termLine = ` {0,3}(?!${blockOpener.source})[^\\s|][^\\n|]*\\n`;
+
+        // Each line can match only one way, so failing matches stay linear
+        const groupPattern = new RegExp(`^((?:${termLine})+)((?: {0,3}:[ \\t]+\\S[^\\n]*(?:\\n(?: {2}|\\t)[ \\t]*\\S[^\\n]*)*(?:\\n|$))+)\\n*`);
+
+        return {
+            name: 'definitionList',
+            level: 'block',
+            tokenizer(src) {
+                // marked lexes list items with state.top off; there a `:`
+                // line is a lazy continuation of the item's text
+                if (!this.lexer.state.top) {
+                    return undefined;
+                }
+
+                const token = { type: 'definitionList', raw: '', tokens: [] };
+                let match;
+
+                while ((match = groupPattern.exec(src.slice(token.raw.length)))) {
+                    match[1].trim().split('\n').forEach(term => {
+                        token.tokens.push({ type: 'definitionTerm', raw: term, tokens: this.lexer.inline(term.trim()) });
+                    });
+                    match[2].split(/^ {0,3}:[ \t]+/m).slice(1).forEach(definition => {
+                        const text = definition.replace(/\n(?: {2,}|\t)/g, '\n').trim();
+                        token.tokens.push({ type: 'definitionDescription', raw: definition, tokens: this.lexer.inline(text) });
+                    });
+                    token.raw += match[0];
+                }
+
+                return token.tokens.length > 0 ? token : undefined;
+            },
+            renderer(token) {
+                const items = token.tokens.map(item => {
+                    const tag = item.type === 'definitionTerm' ? 'dt' : 'dd';
+                    return `<${tag}>${this.parser.parseInline(item.tokens)}</${tag}>`;
+                });
+                return `<dl class="definition-list">\n${items.join('\n')}\n</dl>\n`;
+            }
+        };
+    }
+
+    /**
+     * Parse a code fence info string such as `js {1,3-5} title="sign.js"`
+     * into its language, highlighted line numbers and title
+     */
+    parseCodeFence(infostring = '') {
+        const info = String(infostring || '').trim();
+        const language = /^[^\s{]+/.exec(info);
+        const ranges = /\{([\d,\s-]+)\}/.exec(info);
+        const title = /\b(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(info);
+
+        const highlightedLines = new Set();
+        if (ranges) {
+            ranges[1].split(',').map(range => range.trim()).filter(Boolean).forEach(range => {
+                const [start, end = start] = range.split('-').map(Number);
+                for (let line = start; line <= end; line++) {
+                    highlightedLines.add(line);
+                }
+            });
+        }
+
+        return {
+            language: language ? language[0].toLowerCase() : '',
+            highlightedLines,
+            title: title ? (title[1] ?? title[2] ?? title[3]) : '',
+            lineNumbers: !/\bno-line-numbers\b/.test(info)
+        };
+    }
+
+    /**
+     * Split highlighted HTML into lines, closing the spans open at the end
+     * of each line and reopening them on the next, so every line is
+     * well-formed on its own
+     */
+    splitHighlightedLines(html) {
+        const openTags = [];
+
+        return html.split('\n').map(line => {
+            const prefix = openTags.join('');
+            for (const [tag] of line.matchAll(/<span[^>]*>|<\/span>/g)) {
+                if (tag === '</span>') {
+                    openTags.pop();
+                } else {
+                    openTags.push(tag);
+                }
+            }
+            return prefix + line + '</span>'.repeat(openTags.length);
+        });
+    }
+
+    /**
+     * Render a fenced code block with highlight.js: the fence's language,
+     * or a detected one when it names none, one span per line for line
+     * numbers and highlighted lines, and an optional title
+     */
+    renderCodeBlock(code, infostring) {
+        const fence = this.parseCodeFence(infostring);
+        let language = fence.language;
+        let html;
+
+        if (language && hljs.getLanguage(language)) {
+            html = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+        } else if (!language) {
+            const guess = hljs.highlightAuto(code, AUTO_DETECT_LANGUAGES);
+            if (guess.language && guess.relevance >= AUTO_DETECT_MIN_RELEVANCE) {
+                language = guess.language;
+                html = guess.value;
+            }
+        }
+
+        const lines = this.splitHighlightedLines(html ?? escape.html(code)).map((line, index) => {
+            const className = fence.highlightedLines.has(index + 1) ? 'code-line code-line-highlighted' : 'code-line';
+            return `<span class="${className}">${line}\n</span>`;
+        });
+
+        const classes = ['code-block', fence.lineNumbers ? 'code-block-numbered' : ''].filter(Boolean).join(' ');
+        const codeClass = language ? ` class="hljs language-${escape.attr(language)}"` : ' class="hljs"';
+        const title = fence.title ? `<figcaption class="code-title">${escape.html(fence.title)}</figcaption>` : '';
+
+        return `<figure class="${classes}"${language ? ` data-language="${escape.attr(language)}"` : ''}>${title}` +
+            `<pre><code${codeClass}>${lines.join('')}</code></pre></figure>\n`;
+    }
+
+    /**
+     * Cache key of a diagram: its language, source, the theme colours and
+     * the cache version
+     */
+    diagramKey(language, source) {
+        return this.hash(language, '\0', source, '\0', JSON.stringify(DIAGRAM_THEMES), '\0', String(DIAGRAM_CACHE_VERSION));
+    }
+
+    /**
+     * Render the ```mermaid and ```dot blocks of a post to inline SVG for
+     * renderer.code, once per theme, keyed by diagramKey. Diagrams are
+     * cached in .diagram-cache/, so each one is only drawn once; without
+     * options.diagrams, renderMarkdown shows their source as code instead.
+     */
+    async prepareDiagrams(content) {
+        const diagrams = new Map();
+        const blocks = [];
+        let mermaid = null;
+        let browser = null;
+
+        marked.walkTokens(marked.lexer(content), token => {
+            const language = token.type === 'code' && DIAGRAM_LANGUAGES[this.parseCodeFence(token.lang).language];
+            if (language) {
+                blocks.push({ language, source: token.text });
+            }
+        });
+
+        try {
+            for (const { language, source } of blocks) {
+                const key = this.diagramKey(language, source);
+                const cachePath = path.join(DIAGRAM_CACHE_DIR, `${key}.json`);
+
+                if (diagrams.has(key)) continue;
+                if (fs.existsSync(cachePath)) {
+                    diagrams.set(key, JSON.parse(fs.readFileSync(cachePath, 'utf8')));
+                    continue;
+                }
+
+                if (language === 'mermaid' && !browser) {
+                    mermaid = await loadMermaid();
+                    browser = await mermaid.puppeteer.launch();
+                }
+
+                const svgs = {};
+                for (const [theme, settings] of Object.entries(DIAGRAM_THEMES)) {
+                    const svgId = `diagram-${key.slice(0, 12)}-${theme}`;
+                    svgs[theme] = language === 'mermaid'
+                        ? await this.renderMermaid(mermaid, browser, source, settings, svgId)
+                        : await this.renderDot(source, settings, svgId);
+                }
+
+                fs.mkdirSync(DIAGRAM_CACHE_DIR, { recursive: true });
+                fs.writeFileSync(cachePath, JSON.stringify(svgs), 'utf8');
+                diagrams.set(key, svgs);
+                console.log(`📈 Rendered ${language} diagram ${key.slice(0, 12)}`);
+            }
+        } finally {
+            if (browser) {
+                await browser.close();
+            }
+        }
+
+        return diagrams;
+    }
+
+    /**
+     * Draw a Graphviz diagram as SVG in a theme's colours. Colours set in
+     * the diagram itself win over the theme. svgId prefixes the element ids,
+     * which Graphviz numbers the same way in every diagram (graph0, node1,
+     * edge1, ...), so both themes and several diagrams can share a page.
+     */
+    async renderDot(source, theme, svgId) {
+        if (!this.graphviz) {
+            this.graphviz = await loadGraphviz().instance();
+        }
+
+        const defaults = { color: theme.color, fontcolor: theme.color, fontname: DIAGRAM_FONT };
+        const result = this.graphviz.render(source, {
+            format: 'svg',
+            graphAttributes: { ...defaults, bgcolor: 'transparent' },
+            nodeAttributes: defaults,
+            edgeAttributes: defaults
+        });
+
+        if (result.status !== 'success') {
+            throw new Error(`Invalid dot diagram: ${result.errors.map(error => error.message).join('; ')}`);
+        }
+
+        // Drop the XML declaration and doctype so the SVG can be inlined
+        const svg = result.output.slice(result.output.indexOf('<svg'));
+        const ids = new Set([...svg.matchAll(/\sid="([^"]*)"/g)].map(match => match[1]));
+        return svg.replace(/(\sid="|href="#|url\(#)([^")]*)/g, (match, start, id) => ids.has(id) ? `${start}${svgId}-${id}` : match);
+    }
+
+    /**
+     * Draw a Mermaid diagram as SVG with a theme's Mermaid theme. svgId
+     * scopes the diagram's styles, so both themes can share a page.
+     */
+    async renderMermaid(mermaid, browser, source, theme, svgId) {
+        try {
+            const { data } = await mermaid.renderMermaid(browser, source, 'svg', {
+                backgroundColor: 'transparent',
+                mermaidConfig: { theme: theme.mermaidTheme },
+                svgId
+            });
+            const svg = Buffer.from(data).toString('utf8');
+            return svg.slice(svg.indexOf('<svg'));
+        } catch (error) {
+            throw new Error(`Invalid mermaid diagram: ${error.message.split('\n').slice(0, 3).join(' ')}`);
+        }
+    }
+
+    /**
+     * Render a prepared diagram: one SVG per theme (the stylesheet shows the
+     * one matching the page), labelled with the diagram's source for screen
+     * readers, and the fence's title as a caption
+     */
+    renderDiagram(source, infostring, svgs) {
+        const fence = this.parseCodeFence(infostring);
+        const language = DIAGRAM_LANGUAGES[fence.language];
+        const images = Object.entries(svgs)
+            .map(([theme, svg]) => `<div class="diagram-theme diagram-${theme}">${svg}</div>`)
+            .join('');
+        const title = fence.title ? `<figcaption class="diagram-title">${escape.html(fence.title)}</figcaption>` : '';
+
+        return `<figure class="diagram diagram-${language}">` +
+            `<div class="diagram-image" role="img" aria-label="${escape.attr(source.trim())}">${images}</div>${title}</figure>\n`;
+    }
+
+    /**
+     * Element id of a labelled equation: \label{eq:curve} -> eq-eq-curve
+     */
+    equationId(label) {
+        return `eq-${label.replace(/[^\w-]+/g, '-')}`;
+    }
+
+    /**
+     * Number display equations in document order and map each \label to
+     * its number (or custom \tag), so references can point forwards
+     */
+    numberEquations(tokens) {
+        const labels = new Map();
+        let count = 0;
+
+        marked.walkTokens(tokens, token => {
+            if (token.type !== 'blockMath') return;
+
+            if (token.numbered) {
+                token.number = ++count;
+            }
+            if (token.label) {
+                if (labels.has(token.label)) {
+                    throw new Error(`Duplicate equation label "${token.label}"`);
+                }
+                labels.set(token.label, token.number ?? token.tag ?? '');
+            }
+        });
+
+        return labels;
+    }
+
+    /**
+     * Element id fragment for a footnote label: [^my note] -> my-note
+     */
+    footnoteSlug(label) {
+        return label.replace(/[^\w-]+/g, '-');
+    }
+
+    /**
+     * Number footnotes in order of their first reference and count the
+     * references to each, so every reference gets its own back-link.
+     * Definitions nothing refers to are dropped.
+     */
+    numberFootnotes(tokens) {
+        const definitions = new Map();
+        marked.walkTokens(tokens, token => {
+            if (token.type !== 'footnoteDefinition') return;
+
+            if (definitions.has(token.label)) {
+                throw new Error(`Duplicate footnote "[^${token.label}]"`);
+            }
+            definitions.set(token.label, token);
+        });
+
+        const footnotes = new Map();
+        marked.walkTokens(tokens, token => {
+            if (token.type !== 'footnoteReference') return;
+
+            if (!definitions.has(token.label)) {
+                throw new Error(`Unknown footnote "[^${token.label}]": add a "[^${token.label}]: ..." definition`);
+            }
+            if (!footnotes.has(token.label)) {
+                footnotes.set(token.label, { label: token.label, number: footnotes.size + 1, references: 0, tokens: definitions.get(token.label).tokens });
+            }
+
+            const footnote = footnotes.get(token.label);
+            token.number = footnote.number;
+            token.referenceIndex = ++footnote.references;
+        });
+
+        return footnotes;
+    }
+
+    /**
+     * The list of footnotes at the end of a post, with back-links to each
+     * reference appended to the note's last paragraph
+     */
+    renderFootnotes() {
+        if (this.footnotes.size === 0) return '';
+
+        const items = [...this.footnotes.values()].map(footnote => {
+            const slug = this.footnoteSlug(footnote.label);
+            const backLinks = Array.from({ length: footnote.references }, (_, index) => {
+                const id = index === 0 ? `fnref-${slug}` : `fnref-${slug}-${index + 1}`;
+                const label = footnote.references > 1 ? `Back to reference ${footnote.number}.${index + 1}` : `Back to reference ${footnote.number}`;
+                return `<a href="#${id}" class="footnote-backref" role="doc-backlink" aria-label="${label}">↩${index === 0 ? '' : `<sup>${index + 1}</sup>`}</a>`;
+            }).join(' ');
+
+            const html = marked.parser(footnote.tokens).trim();
+            const content = html.endsWith('</p>') ? `${html.slice(0, -'</p>'.length)} ${backLinks}</p>` : `${html}\n<p>${backLinks}</p>`;
+            return `<li id="fn-${slug}" class="footnote-item">${content}</li>`;
+        });
+
+        return `<section class="footnotes" role="doc-endnotes" aria-label="Footnotes">\n<ol class="footnotes-list">\n${items.join('\n')}\n</ol>\n</section>\n`;
+    }
+
+    /**
+     * Resolve an image path as written in a post (images/x.png, a bare file
+     * name, src/assets/..., or a URL) to a path relative to the post page
+     */
+    resolveImagePath(href) {
+        // If it's a relative path starting with images/ or assets/
+        if (href.startsWith('images/') || href.startsWith('assets/')) {
+            return `../src/assets/${href}`;
+        }
+        // If it's already a relative path to src/assets/
+        if (href.startsWith('src/assets/')) {
+            return `../${href}`;
+        }
+        // If it's just a filename, assume it's in the images directory
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('/') && !href.startsWith('../')) {
+            return `../src/assets/images/${href}`;
+        }
+
+        return href;
+    }
+
+    /**
+     * Find the local images a post embeds, as a map from the page-relative
+     * URL renderer.image sees to the file on disk. Throws when a file is
+     * missing, so a broken image fails the build instead of the page.
+     */
+    findImages(content, outputDir) {
+        const images = new Map();
+
+        marked.walkTokens(marked.lexer(content), token => {
+            if (token.type !== 'image') return;
+
+            const url = this.resolveImagePath(token.href);
+            const filePath = images.has(url) ? null : this.findImageFile(token.href, outputDir);
+            if (filePath) {
+                images.set(url, filePath);
+            }
+        });
+
+        return images;
+    }
+
+    /**
+     * The file on disk behind an image path as written in a post or its
+     * `cover:`, or null for URLs and site-absolute paths. Throws when the
+     * file is missing.
+     */
+    findImageFile(href, outputDir) {
+        const url = this.resolveImagePath(href);
+        if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(url)) return null;
+
+        let filePath = url.split(/[?#]/)[0];
+        try {
+            filePath = decodeURI(filePath);
+        } catch (error) {
+            // Not percent-encoded after all: use the path as written
+        }
+        filePath = path.resolve(outputDir, filePath);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Image not found: ${href} (expected at ${path.relative(process.cwd(), filePath)})`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Describe every local image a post embeds for renderer.image: a hash
+     * of its contents and, when sharp is installed, its dimensions and the
+     * AVIF and WebP variants generated into <outputDir>/images/. Variants
+     * are named by that hash, so existing ones are reused and a replaced
+     * image gets new URLs.
+     */
+    async prepareImages(content, outputDir) {
+        const sharp = loadImageProcessor();
+        const images = new Map();
+
+        for (const [url, filePath] of this.findImages(content, outputDir)) {
+            const source = fs.readFileSync(filePath);
+            const image = { hash: this.hash(source, JSON.stringify(IMAGE_FORMATS)), files: [], sources: [] };
+            images.set(url, image);
+
+            // SVGs scale on their own and GIFs may be animated: use them as they are
+            if (!IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) continue;
+
+            if (!sharp) {
+                if (!this.warnedMissingImageProcessor) {
+                    console.warn('⚠️  Skipping responsive images: run "npm install sharp" to generate them');
+                    this.warnedMissingImageProcessor = true;
+                }
+                continue;
+            }
+
+            // EXIF orientations 5-8 turn the image a quarter turn
+            const metadata = await sharp(source).metadata();
+            const isRotated = metadata.orientation >= 5;
+            image.width = isRotated ? metadata.height : metadata.width;
+            image.height = isRotated ? metadata.width : metadata.height;
+
+            const widths = [...IMAGE_WIDTHS.filter(width => width < image.width), image.width];
+            const name = `${textAnalysis.words(path.basename(filePath, path.extname(filePath))).join('-') || 'image'}-${image.hash.slice(0, 12)}`;
+            let generated = 0;
+
+            for (const [format, settings] of Object.entries(IMAGE_FORMATS)) {
+                const srcset = [];
+
+                for (const width of widths) {
+                    const filename = `${name}-${width}.${format}`;
+                    const variantPath = path.join(outputDir, 'images', filename);
+
+                    if (!fs.existsSync(variantPath)) {
+                        fs.mkdirSync(path.dirname(variantPath), { recursive: true });
+                        await sharp(source).rotate().resize({ width }).toFormat(format, settings).toFile(variantPath);
+                        generated++;
+                    }
+
+                    image.files.push(filename);
+                    srcset.push(`images/${encodeURIComponent(filename)} ${width}w`);
+                }
+
+                image.sources.push({ type: `image/${format}`, srcset: srcset.join(', ') });
+            }
+
+            if (generated > 0) {
+                console.log(`🖼️  Generated ${generated} responsive variants of ${path.relative(process.cwd(), filePath)}`);
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Convert rendered inline HTML back to plain text
+     */
+    htmlToText(html) {
+        return decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+    }
+
+    /**
+     * Plain text of a rendered heading without its anchor link or footnote
+     * reference numbers, as used for its id and table of contents entry
+     */
+    headingText(html) {
+        return this.htmlToText(html.replace(/<sup class="footnote-ref">[\s\S]*?<\/sup>|<a class="heading-anchor"[^>]*>[\s\S]*?<\/a>/g, ''));
+    }
+
+    /**
+     * Create a slug generator that de-duplicates repeated slugs within one
+     * document by appending -1, -2, ...
+     */
+    createSlugger() {
+        const seen = new Map();
+
+        return text => {
+            const base = text
+                .toLowerCase()
+                .replace(/[^\w\s-]/g, '')
+                .trim()
+                .replace(/\s+/g, '-') || 'section';
+
+            let slug = base;
+            if (seen.has(base)) {
+                let count = seen.get(base);
+                do {
+                    count++;
+                    slug = `${base}-${count}`;
+                } while (seen.has(slug));
+                seen.set(base, count);
+            }
+
+            seen.set(slug, 0);
+            return slug;
+        };
+    }
+
+    /**
+     * Parse and validate YAML front matter from markdown. Throws a
+     * FrontMatterError listing every problem with its line number.
+     */
+    parseFrontMatter(content, filePath = '<input>') {
+        const frontMatterRegex = /^---\r?\n(?:([\s\S]*?)\r?\n)?---\r?\n([\s\S]*)$/;
+        const match = content.match(frontMatterRegex);
+        
+        if (!match) {
+            throw new FrontMatterError(filePath, [{ line: 1, message: 'missing front matter block (--- ... ---)' }]);
+        }
+
+        // Front matter starts on line 2, after the opening ---
+        const firstLine = 2;
+        let frontMatter;
+
+        try {
+            // CORE_SCHEMA keeps unquoted dates like 2025-01-10 as strings
+            frontMatter = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA, filename: filePath }) || {};
+        } catch (error) {
+            const line = error.mark ? error.mark.line + firstLine : null;
+            throw new FrontMatterError(filePath, [{ line, message: `invalid YAML: ${error.reason || error.message}` }]);
+        }
+
+        if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+            throw new FrontMatterError(filePath, [{ line: firstLine, message: 'front matter must be a set of key: value pairs' }]);
+        }
+
+        // Folded and block scalars (> and |) keep a trailing newline
+        Object.keys(frontMatter).forEach(key => {
+            if (typeof frontMatter[key] === 'string') {
+                frontMatter[key] = frontMatter[key].trim();
+            }
+        });
+
+        // Remember which line each top-level key is on for error messages
+        const keyLines = {};
+        (match[1] || '').split(/\r?\n/).forEach((line, index) => {
+            const keyMatch = line.match(/^([A-Za-z_][\w-]*)\s*:/);
+            if (keyMatch && !Object.prototype.hasOwnProperty.call(keyLines, keyMatch[1])) {
+                keyLines[keyMatch[1]] = index + firstLine;
+            }
+        });
+
+        const problems = this.validateFrontMatter(frontMatter, keyLines);
+        if (problems.length > 0) {
+            throw new FrontMatterError(filePath, problems);
+        }
+
+        // Unknown keys are most likely typos, but not worth failing the build over
+        Object.keys(frontMatter)
+            .filter(key => !Object.prototype.hasOwnProperty.call(FRONT_MATTER_SCHEMA, key))
+            .forEach(key => console.warn(`⚠️  ${filePath}:${keyLines[key]}: unknown front matter field "${key}"`));
+
+        // A new category still builds, listed under its slug until it is configured
+        if (!this.getCategory(frontMatter.category)) {
+            console.warn(`⚠️  ${filePath}:${keyLines.category}: category "${frontMatter.category}" is not defined in ${path.basename(SITE_CONFIG_PATH)}`);
+        }
+
+        return { frontMatter, content: match[2].trim() };
+    }
+
+    /**
+     * A category from site.config.json by slug, or undefined
+     */
+    getCategory(slug) {
+        return this.site.categories.find(category => category.slug === slug);
+    }
+
+    /**
+     * Display name of a category, or the slug if it is not configured
+     */
+    getCategoryName(slug) {
+        return this.getCategory(slug)?.name || slug;
+    }
+
+    /**
+     * Categories for metadata.json: the configured ones in order, then any
+     * undefined category a post uses, named after its slug
+     */
+    getCategoryList(posts) {
+        const undefinedSlugs = [...new Set(posts.map(post => post.category))]
+            .filter(slug => !this.getCategory(slug))
+            .sort();
+
+        return [
+            ...this.site.categories,
+            ...undefinedSlugs.map(slug => ({ slug, name: slug, description: '', color: '' }))
+        ].map(({ slug, name, description, color }) => ({ slug, name, description, color }));
+    }
+
+    /**
+     * Check front matter against FRONT_MATTER_SCHEMA
+     */
+    validateFrontMatter(frontMatter, keyLines = {}) {
+        const problems = [];
+        const problem = (key, message) => problems.push({ line: keyLines[key] || null, message });
+
+        Object.entries(FRONT_MATTER_SCHEMA).forEach(([key, rule]) => {
+            const value = frontMatter[key];
+
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) {
+                    problem(key, `missing required field "${key}"`);
+                }
+                return;
+            }
+
+            switch (rule.type) {
+                case 'string':
+                    if (typeof value !== 'string') {
+                        problem(key, `"${key}" must be a string, got ${JSON.stringify(value)}`);
+                    } else if (rule.oneOf) {
+                        const allowed = typeof rule.oneOf === 'function' ? rule.oneOf() : rule.oneOf;
+                        if (!allowed.includes(value)) {
+                            problem(key, `"${key}" is "${value}", expected one of: ${allowed.join(', ')}`);
+                        }
+                    }
+                    break;
+                case 'date':
+                    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+                        problem(key, `"${key}" must be a date in YYYY-MM-DD format, got ${JSON.stringify(value)}`);
+                    }
+                    break;
+                case 'boolean':
+                    if (typeof value !== 'boolean' && !(rule.oneOf || []).includes(value)) {
+                        const allowed = ['true', 'false', ...(rule.oneOf || [])];
+                        problem(key, `"${key}" is ${JSON.stringify(value)}, expected one of: ${allowed.join(', ')}`);
+                    }
+                    break;
+                case 'string[]':
+                    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                        problem(key, `"${key}" must be a list of strings, e.g. ["one", "two"]`);
+                    }
+                    break;
+            }
+        });
+
+        if (typeof frontMatter.updated === 'string' && typeof frontMatter.date === 'string' && frontMatter.updated < frontMatter.date) {
+            problem('updated', `"updated" (${frontMatter.updated}) is before "date" (${frontMatter.date})`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Whether a post is "published", a "draft" (front matter `draft: true`)
+     * or "scheduled" (dated after today, UTC). Only published posts are
+     * built unless the converter runs with the drafts option.
+     */
+    getPostStatus(frontMatter) {
+        if (frontMatter.draft === true) {
+            return 'draft';
+        }
+        return frontMatter.date > new Date().toISOString().slice(0, 10) ? 'scheduled' : 'published';
+    }
+
+    /**
+     * Whether a post gets a page in this build: published, or any post when
+     * previewing drafts
+     */
+    isBuildable(frontMatter) {
+        return this.options.drafts || this.isPublished(frontMatter);
+    }
+
+    /**
+     * Whether a post is live. Only live posts are listed in metadata, the
+     * search index, feeds, tag pages and the sitemap, and linked from other
+     * posts, even when previewing drafts.
+     */
+    isPublished(frontMatter) {
+        return this.getPostStatus(frontMatter) === 'published';
+    }
+
+    /**
+     * Read a markdown file and parse its front matter
+     */
+    readPost(inputPath) {
+        const markdownContent = fs.readFileSync(inputPath, 'utf8');
+        return this.parseFrontMatter(markdownContent, path.relative(process.cwd(), inputPath));
+    }
+
+    /**
+     * Print front matter problems (and any other errors) collected during a build
+     */
+    reportErrors(errors) {
+        console.error(`\n❌ ${errors.length} file(s) have errors:\n`);
+        errors.forEach(error => {
+            console.error(error instanceof FrontMatterError ? error.format() : error.message);
+        });
+    }
+
+    /**
+     * Create complete HTML document by rendering the post's layout
+     * (front matter `layout:`, default "post") from templates/layouts
+     */
+    createHtmlDocument(frontMatter, htmlContent, options = {}) {
+        const {
+            stats = this.computeReadingStats(htmlContent),
+            url = '',
+            previewImage = '',
+            navigation = { previous: null, next: null, related: [] }
+        } = options;
+        const date = frontMatter.date || new Date().toISOString().split('T')[0];
+        const page = {
+            title: frontMatter.title || 'Blog Post',
+            description: frontMatter.description || '',
+            excerpt: frontMatter.excerpt || '',
+            author: frontMatter.author || 'Prashish Phunyal',
+            date,
+            formattedDate: this.formatDate(date),
+            status: this.getPostStatus(frontMatter),
+            mathStylesheet: this.hasMath(htmlContent) ? KATEX_STYLESHEET : '',
+            hasCode: htmlContent.includes('class="code-block'),
+            category: frontMatter.category || 'General',
+            categoryName: this.getCategoryName(frontMatter.category || 'General'),
+            categoryColor: this.getCategory(frontMatter.category)?.color || '',
+            tags: Array.isArray(frontMatter.tags) ? frontMatter.tags : [],
+            content: htmlContent,
+            type: 'article',
+            stats,
+            year: new Date().getFullYear(),
+            site: this.site,
+            url: url ? this.absoluteUrl(url) : '',
+            feeds: this.getFeedLinks(frontMatter.category),
+            toc: this.createToc(frontMatter, htmlContent),
+            tagLinks: (Array.isArray(frontMatter.tags) ? frontMatter.tags : []).map(tag => ({ name: tag, url: `../tags/${this.tagSlug(tag)}.html` })),
+            previous: navigation.previous,
+            next: navigation.next,
+            related: navigation.related,
+            layout: frontMatter.layout || 'post',
+            frontMatter
+        };
+
+        // Share previews and structured data
+        page.summary = page.description || page.excerpt;
+        page.updated = frontMatter.updated || '';
+        page.formattedUpdated = page.updated ? this.formatDate(page.updated) : '';
+        page.image = this.getShareImage(frontMatter, page.url, previewImage);
+        page.imageAlt = page.image ? (frontMatter.coverAlt || page.title) : '';
+        page.largeImage = Boolean(frontMatter.cover || previewImage);
+        page.structuredData = this.createStructuredData(page);
+
+        return this.renderTemplate('layouts', page.layout, page);
+    }
+
+    /**
+     * A date as shown on post pages, e.g. "March 5, 2025"
+     */
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Table of contents for a rendered post, or null when the front matter
+     * sets `toc: false` or the post has too few headings. `toc: sidebar`
+     * asks for the sticky sidebar instead of the inline list.
+     */
+    createToc(frontMatter, htmlContent) {
+        if (frontMatter.toc === false) {
+            return null;
+        }
+
+        const headingPattern = new RegExp(`<h([2-${TOC_MAX_LEVEL}]) id="([^"]*)">([\\s\\S]*?)</h\\1>`, 'g');
+        const entries = [...htmlContent.matchAll(headingPattern)].map(([, level, id, inner]) => ({
+            level: Number(level),
+            id,
+            text: this.headingText(inner)
+        }));
+
+        if (entries.length < TOC_MIN_HEADINGS) {
+            return null;
+        }
+
+        return { style: frontMatter.toc === 'sidebar' ? 'sidebar' : 'inline', entries };
+    }
+
+    /**
+     * Absolute URL of the image shown when a post is shared: the front
+     * matter `cover:`, then the generated preview image, then the site
+     * image from site.config.json. An unsafe cover (javascript: and the
+     * like) is ignored, so the meta tags and JSON-LD never carry it.
+     */
+    getShareImage(frontMatter, pageUrl, previewImage = '') {
+        const pageBase = pageUrl || this.absoluteUrl('./posts/');
+        const cover = frontMatter.cover ? sanitizeUrl(this.resolveImagePath(frontMatter.cover)) : null;
+
+        if (cover !== null) {
+            return new URL(cover, pageBase).href;
+        }
+        if (previewImage) {
+            return this.absoluteUrl(previewImage);
+        }
+
+        return this.site.image ? this.absoluteUrl(this.site.image) : '';
+    }
+
+    /**
+     * Read the light and dark colour palettes and the font stack from
+     * style.css (dark is the :root default, light overrides it)
+     */
+    getPreviewPalette() {
+        const css = fs.readFileSync(STYLESHEET_PATH, 'utf8');
+        const readBlock = selector => {
+            const start = css.indexOf(`${selector} {`);
+            if (start === -1) return {};
+
+            const block = css.slice(start, css.indexOf('}', start));
+            const variables = {};
+            for (const [, name, value] of block.matchAll(/--([\w-]+):\s*([^;]+);/g)) {
+                variables[name] = value.trim();
+            }
+            return variables;
+        };
+
+        const dark = readBlock(':root');
+        const palettes = { dark, light: { ...dark, ...readBlock('[data-theme="light"]') } };
+        return { ...palettes[this.site.previewTheme] || palettes.light, fontFamily: dark['font-family'] || 'sans-serif' };
+    }
+
+    /**
+     * Break a title into at most maxLines lines of roughly maxChars
+     * characters, ending with an ellipsis when it does not fit
+     */
+    wrapText(text, maxChars, maxLines) {
+        const lines = [];
+        let line = '';
+
+        for (const word of text.split(/\s+/).filter(Boolean)) {
+            if (line && `${line} ${word}`.length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        if (line) lines.push(line);
+
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1).replace(/\s+\S*$/, '')}…`;
+        }
+        return lines;
+    }
+
+    /**
+     * Draw a post's 1200×630 social preview card as SVG: category tag,
+     * title, author avatar, date and reading time in the site palette
+     */
+    createPreviewSvg(frontMatter, stats) {
+        const palette = this.getPreviewPalette();
+        const avatar = fs.readFileSync(AVATAR_PATH).toString('base64');
+        const title = frontMatter.title || 'Blog Post';
+        const category = String(this.getCategoryName(frontMatter.category) || '').toUpperCase();
+        const author = frontMatter.author || this.site.author;
+        const formattedDate = new Date(frontMatter.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+        const host = new URL(this.site.url).host;
+
+        // Shrink long titles rather than cutting them off. Lines hold about
+        // as many characters as fit the 1040px text width at a bold weight.
+        const charsPerLine = size => Math.floor((PREVIEW_WIDTH - 160) / (size * 0.62));
+        let fontSize = 64;
+        let lines = this.wrapText(title, charsPerLine(fontSize), 3);
+        if (lines[lines.length - 1].endsWith('…')) {
+            fontSize = 52;
+            lines = this.wrapText(title, charsPerLine(fontSize), 4);
+        }
+
+        const font = escape.attr(palette.fontFamily.replace(/"/g, "'"));
+        const titleLines = lines.map((line, index) =>
+            `<tspan x="80" dy="${index === 0 ? 0 : Math.round(fontSize * 1.2)}">${escape.html(line)}</tspan>`
+        ).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" viewBox="0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}">
+  <defs>
+    <linearGradient id="accent" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="${escape.attr(palette['accent-primary'])}"/>
+      <stop offset="1" stop-color="${escape.attr(palette['accent-hover'])}"/>
+    </linearGradient>
+    <clipPath id="avatar"><circle cx="116" cy="526" r="36"/></clipPath>
+  </defs>
+  <rect width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" fill="${escape.attr(palette['bg-primary'])}"/>
+  <rect width="${PREVIEW_WIDTH}" height="12" fill="url(#accent)"/>
+  <rect x="80" y="76" width="${category.length * 17 + 48}" height="44" rx="22" fill="${escape.attr(palette['bg-elevated'])}" stroke="${escape.attr(palette['border-color'])}"/>
+  <text x="104" y="106" font-family="${font}" font-size="20" font-weight="600" letter-spacing="2" fill="${escape.attr(palette['accent-primary'])}">${escape.html(category)}</text>
+  <text x="80" y="${200 + fontSize - 52}" font-family="${font}" font-size="${fontSize}" font-weight="700" fill="${escape.attr(palette['text-primary'])}">${titleLines}</text>
+  <image x="80" y="490" width="72" height="72" clip-path="url(#avatar)" xlink:href="data:image/png;base64,${avatar}"/>
+  <text x="172" y="518" font-family="${font}" font-size="26" font-weight="600" fill="${escape.attr(palette['text-primary'])}">${escape.html(author)}</text>
+  <text x="172" y="552" font-family="${font}" font-size="22" fill="${escape.attr(palette['text-muted'])}">${escape.html(`${formattedDate} · ${stats.readTime}`)}</text>
+  <text x="1120" y="552" text-anchor="end" font-family="${font}" font-size="22" fill="${escape.attr(palette['text-muted'])}">${escape.html(host)}</text>
+</svg>
+`;
+    }
+
+    /**
+     * Write a post's preview PNG to outputDir/previews and return its
+     * site-relative URL. Files are named by a hash of the SVG, so an
+     * existing file is reused and the URL changes when the card does.
+     * Returns '' (falling back to the site image) when posts set a
+     * cover or the rasterizer is not installed.
+     */
+    writePreviewImage(file, frontMatter, stats, outputDir) {
+        if (frontMatter.cover) return '';
+
+        const Resvg = loadRasterizer();
+        if (!Resvg) {
+            if (!this.warnedMissingRasterizer) {
+                console.warn('⚠️  Skipping preview images: run "npm install @resvg/resvg-js" to generate them');
+                this.warnedMissingRasterizer = true;
+            }
+            return '';
+        }
+
+        const svg = this.createPreviewSvg(frontMatter, stats);
+        const filename = `${file.replace(/\.md$/, '')}-${this.hash(svg).slice(0, 12)}.png`;
+        const previewPath = path.join(outputDir, 'previews', filename);
+
+        if (!fs.existsSync(previewPath)) {
+            const png = new Resvg(svg, {
+                fitTo: { mode: 'width', value: PREVIEW_WIDTH },
+                // Web fonts from the CSS stack are rarely installed locally
+                font: { loadSystemFonts: true, sansSerifFamily: 'DejaVu Sans', defaultFontFamily: 'DejaVu Sans' }
+            }).render().asPng();
+
+            fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+            fs.writeFileSync(previewPath, png);
+            console.log(`🖼️  Rendered preview image ${previewPath}`);
+        }
+
+        return `./posts/previews/${filename}`;
+    }
+
+    /**
+     * schema.org BlogPosting for the post's JSON-LD block
+     */
+    createStructuredData(page) {
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: page.title,
+            description: page.summary || undefined,
+            image: page.image || undefined,
+            datePublished: page.date,
+            dateModified: page.updated || page.date,
+            author: { '@type': 'Person', name: page.author },
+            publisher: { '@type': 'Person', name: this.site.author },
+            url: page.url || undefined,
+            mainEntityOfPage: page.url ? { '@type': 'WebPage', '@id': page.url } : undefined,
+            articleSection: page.category,
+            keywords: page.tags.length > 0 ? page.tags.join(', ') : undefined,
+            wordCount: page.stats.wordCount,
+            inLanguage: this.site.language
+        };
+
+        // Drop unset properties rather than emitting nulls
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Load and compile a template file. Templates are HTML evaluated as
+     * JavaScript template literals: they can use ${page.*} values,
+     * ${partial('name')} to include templates/partials/name.html and
+     * ${escape.html()}, ${escape.attr()}, ${escape.url()} or
+     * ${escape.json()} to escape values for text, attribute, URL and
+     * <script> contexts.
+     */
+    loadTemplate(kind, name) {
+        const cacheKey = `${kind}/${name}`;
+        if (this.templateCache.has(cacheKey)) {
+            return this.templateCache.get(cacheKey);
+        }
+
+        const templatePath = path.join(TEMPLATES_DIR, kind, `${name}.html`);
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`Template not found: ${path.relative(process.cwd(), templatePath)}`);
+        }
+
+        const source = fs.readFileSync(templatePath, 'utf8').replace(/\n$/, '');
+        let template;
+
+        try {
+            template = new Function('page', 'partial', 'escape', `return \`${source}\`;`);
+        } catch (error) {
+            throw new Error(`Invalid template ${path.relative(process.cwd(), templatePath)}: ${error.message}`);
+        }
+
+        this.templateCache.set(cacheKey, template);
+        return template;
+    }
+
+    /**
+     * Render a layout or partial with the page values
+     */
+    renderTemplate(kind, name, page) {
+        const partial = partialName => this.renderTemplate('partials', partialName, page);
+        return this.loadTemplate(kind, name)(page, partial, escape);
+    }
+
+    /**
+     * Convert markdown file to HTML
+     */
+    async convertFile(inputPath, outputPath) {
+        try {
+            await this.renderFile(inputPath, outputPath);
+        } catch (error) {
+            if (error instanceof FrontMatterError) {
+                this.reportErrors([error]);
+            } else {
+                console.error(`❌ Error converting ${inputPath}:`, error.message);
+            }
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Render one markdown file to an HTML page, throwing on errors. With
+     * options.skipUnpublished, drafts and scheduled posts are left alone;
+     * resolves to whether a page was written.
+     */
+    async renderFile(inputPath, outputPath, sitePosts = this.readSitePosts(path.dirname(inputPath)), options = {}) {
+        // Read the markdown file and parse front matter
+        const { frontMatter, content } = this.readPost(inputPath);
+        const inputFile = path.basename(inputPath);
+
+        if (options.skipUnpublished && !this.isBuildable(frontMatter)) {
+            console.log(`📝 Skipped ${inputPath} (${this.getPostStatus(frontMatter)})`);
+            return false;
+        }
+        
+        if (frontMatter.cover) {
+            this.findImageFile(frontMatter.cover, path.dirname(outputPath));
+        }
+
+        // Convert markdown to HTML using marked
+        const { htmlContent, stats } = await this.renderPostBody(content, path.dirname(outputPath));
+        const outputFile = path.basename(outputPath);
+        if (this.hasMath(htmlContent)) {
+            writeKatexAssets(path.dirname(outputPath));
+        }
+        
+        // Create complete HTML document
+        const fullHtml = this.createHtmlDocument(frontMatter, htmlContent, {
+            stats,
+            url: this.postUrl(outputFile),
+            previewImage: this.writePreviewImage(outputFile.replace(/\.html$/, ''), frontMatter, stats, path.dirname(outputPath)),
+            navigation: this.getPostNavigation({ ...frontMatter, url: this.postUrl(inputFile) }, sitePosts)
+        });
+        
+        // Write to output file
+        fs.writeFileSync(outputPath, fullHtml, 'utf8');
+        
+        console.log(`✅ Converted ${inputPath} to ${outputPath}`);
+        return true;
+    }
+
+    /**
+     * Render a post body the way its page shows it, with responsive images
+     * and diagrams, and compute its reading stats from that HTML
+     */
+    async renderPostBody(content, outputDir) {
+        const images = await this.prepareImages(content, outputDir);
+        const diagrams = await this.prepareDiagrams(content);
+        const htmlContent = this.renderMarkdown(content, { images, diagrams });
+
+        return { images, diagrams, htmlContent, stats: this.computeReadingStats(htmlContent) };
+    }
+
+    /**
+     * Render a markdown body to HTML. options.mathOutput is KaTeX's
+     * output format (default "htmlAndMathml"); options.images comes from
+     * prepareImages (without it images render as plain <img> tags) and
+     * options.diagrams from prepareDiagrams.
+     */
+    renderMarkdown(content, options = {}) {
+        this.headingSlugger = this.createSlugger();
+        this.images = options.images || new Map();
+        this.diagrams = options.diagrams || new Map();
+        this.mathOutput = options.mathOutput || 'htmlAndMathml';
+
+        const tokens = marked.lexer(content);
+        this.equationNumbers = this.numberEquations(tokens);
+        this.footnotes = this.numberFootnotes(tokens);
+        return marked.parser(tokens) + this.renderFootnotes();
+    }
+
+    /**
+     * Whether rendered post HTML contains KaTeX output, and so needs its stylesheet
+     */
+    hasMath(html) {
+        return html.includes('class="katex');
+    }
+
+    /**
+     * Count words in rendered post HTML and estimate reading time. Prose is
+     * read at 200 words per minute; code blocks are counted by line and
+     * images and diagrams by number rather than as prose, and each adds its
+     * own time.
+     */
+    computeReadingStats(html) {
+        const diagramPattern = /<figure class="diagram[\s\S]*?<\/figure>/g;
+        const diagramCount = (html.match(diagramPattern) || []).length;
+        html = html.replace(diagramPattern, ' ');
+
+        const codeBlockPattern = /<figure class="code-block[\s\S]*?<\/figure>|<pre[\s\S]*?<\/pre>/g;
+        const codeLines = (html.match(codeBlockPattern) || [])
+            .map(block => this.htmlToText(block).split('\n').filter(line => line.trim()).length)
+            .reduce((total, lines) => total + lines, 0);
+        const imageCount = (html.match(/<img\b/g) || []).length + diagramCount;
+
+        const prose = this.htmlToText(html.replace(codeBlockPattern, ' '));
+        const wordCount = (prose.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+
+        // Code is skimmed at 1.5 seconds per line; images take 12 seconds for
+        // the first, one second less for each one after it, never under 3
+        let seconds = (wordCount / 200) * 60 + codeLines * 1.5;
+        for (let i = 0; i < imageCount; i++) {
+            seconds += Math.max(12 - i, 3);
+        }
+
+        const minutes = Math.max(1, Math.ceil(seconds / 60));
+
+        return { wordCount, codeLines, imageCount, readTime: `${minutes} min read` };
+    }
+
+    /**
+     * Convert all markdown files in a directory to HTML
+     */
+    async convertAllFiles(inputDir = './posts', outputDir = './posts') {
+        let errors = [];
+
+        try {
+            // Ensure output directory exists
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
+
+            // Read all files in the input directory
+            const files = fs.readdirSync(inputDir);
+            
+            // Filter for markdown files
+            const markdownFiles = files.filter(file => 
+                file.endsWith('.md') && !file.startsWith('.')
+            );
+
+            if (markdownFiles.length === 0) {
+                console.log(`⚠️  No markdown files found in ${inputDir}`);
+                return;
+            }
+
+            console.log(`🔄 Found ${markdownFiles.length} markdown file(s) to convert...`);
+
+            let converted = 0;
+            let skipped = 0;
+            const sitePosts = this.readSitePosts(inputDir);
+
+            for (const file of markdownFiles) {
+                try {
+                    const inputPath = path.join(inputDir, file);
+                    const outputFile = file.replace(/\.md$/, '.html');
+                    const outputPath = path.join(outputDir, outputFile);
+
+                    if (await this.renderFile(inputPath, outputPath, sitePosts, { skipUnpublished: true })) {
+                        converted++;
+                    } else {
+                        skipped++;
+                    }
+                } catch (error) {
+                    console.error(`❌ Failed to convert ${file}`);
+                    errors.push(error);
+                }
+            }
+
+            console.log(`\n📊 Conversion Summary:`);
+            console.log(`   ✅ Successfully converted: ${converted} files`);
+            if (skipped > 0) {
+                console.log(`   📝 Skipped drafts and scheduled posts: ${skipped} files (use --drafts to preview them)`);
+            }
+            if (errors.length > 0) {
+                console.log(`   ❌ Failed conversions: ${errors.length} files`);
+            }
+            console.log(`   📁 Output directory: ${path.resolve(outputDir)}`);
+
+        } catch (error) {
+            console.error(`❌ Error reading directory ${inputDir}:`, error.message);
+            process.exit(1);
+        }
+
+        if (errors.length > 0) {
+            this.reportErrors(errors);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Update metadata.json with new blog posts
+     */
+    async updateMetadata(inputDir = './posts', metadataPath = './posts/metadata.json') {
+        try {
+            // Read all markdown files
+            const files = fs.readdirSync(inputDir);
+            const markdownFiles = files.filter(file => 
+                file.endsWith('.md') && !file.startsWith('.')
+            );
+
+            // Create new metadata object - only include posts with corresponding markdown files
+            const newMetadata = { posts: [] };
+            const searchDocuments = [];
+            const errors = [];
+
+            console.log(`🔄 Processing ${markdownFiles.length} markdown files for metadata...`);
+
+            for (const file of markdownFiles) {
+                const inputPath = path.join(inputDir, file);
+                let post;
+
+                try {
+                    post = this.readPost(inputPath);
+                } catch (error) {
+                    errors.push(error);
+                    continue;
+                }
+
+                const { frontMatter, content } = post;
+                if (!this.isPublished(frontMatter)) {
+                    console.log(`📝 Skipped ${this.getPostStatus(frontMatter)} post: ${frontMatter.title}`);
+                    continue;
+                }
+
+                // Same stats as the built page, which has the same images and diagrams
+                let stats;
+                try {
+                    ({ stats } = await this.renderPostBody(content, path.dirname(metadataPath)));
+                } catch (error) {
+                    error.message = `${path.relative(process.cwd(), inputPath)}: ${error.message}`;
+                    errors.push(error);
+                    continue;
+                }
+
+                const postEntry = this.createPostEntry(file, frontMatter, stats);
+
+                newMetadata.posts.push(postEntry);
+                searchDocuments.push({ post: postEntry, content, lastModified: this.getLastModified(frontMatter) });
+                console.log(`📝 Added metadata for: ${frontMatter.title}`);
+            }
+
+            // Leave metadata.json untouched rather than silently dropping posts
+            if (errors.length > 0) {
+                this.reportErrors(errors);
+                process.exit(1);
+            }
+
+            this.writeMetadata(newMetadata.posts, searchDocuments, metadataPath);
+
+        } catch (error) {
+            console.error(`❌ Error updating metadata:`, error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Create the metadata.json entry for a post
+     */
+    createPostEntry(file, frontMatter, stats) {
+        return {
+            title: frontMatter.title,
+            date: frontMatter.date,
+            ...(frontMatter.updated ? { updated: frontMatter.updated } : {}),
+            category: frontMatter.category,
+            excerpt: frontMatter.excerpt || '',
+            tags: frontMatter.tags || [],
+            url: this.postUrl(file),
+            readTime: stats.readTime,
+            wordCount: stats.wordCount,
+            codeLines: stats.codeLines,
+            imageCount: stats.imageCount,
+            author: frontMatter.author || 'Prashish Phunyal'
+        };
+    }
+
+    /**
+     * Front matter and URL of every valid, published post in a directory,
+     * for the previous/next and related links of single-file conversions.
+     * Invalid posts are skipped here and reported when they are converted.
+     */
+    readSitePosts(inputDir) {
+        return fs.readdirSync(inputDir)
+            .filter(file => file.endsWith('.md') && !file.startsWith('.'))
+            .flatMap(file => {
+                try {
+                    const { frontMatter } = this.readPost(path.join(inputDir, file));
+                    return this.isPublished(frontMatter) ? [{ ...frontMatter, url: this.postUrl(file) }] : [];
+                } catch (error) {
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Links shown under a post: the previous and next posts in its category
+     * by date, and the posts scoring highest on shared tags and category.
+     * `post` and `posts` need title, date, category, tags and url.
+     */
+    getPostNavigation(post, posts) {
+        const byDate = (a, b) => new Date(a.date) - new Date(b.date) || a.url.localeCompare(b.url);
+        const inCategory = posts.filter(other => other.category === post.category).sort(byDate);
+        const index = inCategory.findIndex(other => other.url === post.url);
+
+        const tags = new Set((post.tags || []).map(tag => this.tagSlug(tag)));
+        const related = posts
+            .filter(other => other.url !== post.url)
+            .map(other => {
+                const sharedTags = new Set((other.tags || []).map(tag => this.tagSlug(tag)).filter(tag => tags.has(tag)));
+                return { other, score: sharedTags.size * RELATED_TAG_SCORE + (other.category === post.category ? 1 : 0) };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || byDate(b.other, a.other))
+            .slice(0, RELATED_POSTS_LIMIT)
+            .map(({ other }) => this.createNavigationLink(other));
+
+        return {
+            previous: index > 0 ? this.createNavigationLink(inCategory[index - 1]) : null,
+            next: index !== -1 && index < inCategory.length - 1 ? this.createNavigationLink(inCategory[index + 1]) : null,
+            related
+        };
+    }
+
+    /**
+     * A link to another post, relative to the posts directory where post
+     * pages are written
+     */
+    createNavigationLink(post) {
+        return {
+            title: post.title,
+            url: path.basename(post.url),
+            date: post.date,
+            formattedDate: this.formatDate(post.date),
+            category: post.category
+        };
+    }
+
+    /**
+     * Site-relative URL of a post page, from its .md or .html file name
+     */
+    postUrl(file) {
+        return `./posts/${file.replace(/\.md$/, '.html')}`;
+    }
+
+    /**
+     * When a post last changed: front matter `updated:` if set, otherwise
+     * its `date:`. Not the file's modification time, which a fresh checkout
+     * (as in CI) resets on every build.
+     */
+    getLastModified(frontMatter) {
+        return frontMatter.updated || frontMatter.date;
+    }
+
+    /**
+     * Write metadata.json and the search index next to it
+     */
+    writeMetadata(posts, searchDocuments, metadataPath) {
+        // Sort posts by date (most recent first)
+        const newMetadata = {
+            categories: this.getCategoryList(posts),
+            posts: [...posts].sort((a, b) => new Date(b.date) - new Date(a.date))
+        };
+
+        // Write updated metadata
+        fs.writeFileSync(metadataPath, JSON.stringify(newMetadata, null, 2), 'utf8');
+        console.log(`✅ Updated metadata.json with ${newMetadata.posts.length} posts (removed entries without corresponding .md files)`);
+
+        // Write the full-text search index alongside metadata.json
+        const searchIndex = this.buildSearchIndex(searchDocuments);
+        const searchIndexPath = path.join(path.dirname(metadataPath), 'search-index.json');
+        fs.writeFileSync(searchIndexPath, JSON.stringify(searchIndex), 'utf8');
+        console.log(`🔎 Updated search-index.json with ${Object.keys(searchIndex.terms).length} terms`);
+
+        // Feeds are built from the same posts, with their full content
+        this.writeFeeds(searchDocuments, path.dirname(metadataPath));
+
+        // Post URLs are ./posts/<file>, so the site root is the posts directory's parent
+        const siteRoot = path.dirname(path.resolve(path.dirname(metadataPath)));
+        this.writeTagPages(searchDocuments, siteRoot);
+        this.writeSitemap(searchDocuments, siteRoot);
+        this.writeHomepageHead(siteRoot);
+    }
+
+    /**
+     * Regenerate the part of index.html's <head> that comes from
+     * site.config.json (canonical URL and feed links), between the <!-- build:head --> and
+     * <!-- /build:head --> markers, from templates/partials/home-head.html.
+     * index.html is only written when that part changed.
+     */
+    writeHomepageHead(siteRoot) {
+        const indexPath = path.join(siteRoot, 'index.html');
+        if (!fs.existsSync(indexPath)) return;
+
+        const html = fs.readFileSync(indexPath, 'utf8');
+        const page = {
+            site: this.site,
+            url: this.absoluteUrl('./'),
+            feeds: this.getFeedLinks().map(feed => ({ ...feed, href: `./posts/${feed.href}` }))
+        };
+        const head = this.renderTemplate('partials', 'home-head', page);
+        const updated = html.replace(
+            /(<!-- build:head -->\n)[\s\S]*?(\n[ \t]*<!-- \/build:head -->)/,
+            (match, start, end) => `${start}${head}${end}`
+        );
+
+        if (updated !== html) {
+            fs.writeFileSync(indexPath, updated, 'utf8');
+            console.log('🏠 Updated the generated <head> of index.html');
+        }
+    }
+
+    /**
+     * Group posts by tag slug, newest post first. A tag is shown with the
+     * spelling used by its newest post.
+     */
+    groupTags(documents) {
+        const tags = new Map();
+
+        [...documents]
+            .sort((a, b) => new Date(b.post.date) - new Date(a.post.date))
+            .forEach(document => {
+                new Set((document.post.tags || []).map(tag => this.tagSlug(tag))).forEach(slug => {
+                    if (!tags.has(slug)) {
+                        const name = document.post.tags.find(tag => this.tagSlug(tag) === slug);
+                        tags.set(slug, { slug, name, url: `./tags/${slug}.html`, documents: [] });
+                    }
+                    tags.get(slug).documents.push(document);
+                });
+            });
+
+        return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Write a static page per tag listing its posts, and tags/index.html
+     * listing every tag with its post count, so crawlers can reach tag
+     * listings without running the #tag/ router. Pages for tags no post
+     * uses any more are removed.
+     */
+    writeTagPages(documents, siteRoot) {
+        const tagsDir = path.join(siteRoot, 'tags');
+        const tags = this.groupTags(documents);
+        const fromTagsDir = url => `../${url.replace(/^\.\//, '')}`;
+        const listingPage = fields => ({
+            type: 'listing',
+            description: this.site.description,
+            site: this.site,
+            year: new Date().getFullYear(),
+            mathStylesheet: '',
+            feeds: this.getFeedLinks().map(feed => ({ ...feed, href: `../posts/${feed.href}` })),
+            ...fields
+        });
+
+        fs.mkdirSync(tagsDir, { recursive: true });
+        const written = new Set(['index.html']);
+
+        tags.forEach(tag => {
+            const page = listingPage({
+                title: `Posts tagged “${tag.name}”`,
+                description: `${tag.documents.length} ${tag.documents.length === 1 ? 'post' : 'posts'} tagged “${tag.name}”`,
+                url: this.absoluteUrl(tag.url),
+                tag: { name: tag.name, slug: tag.slug },
+                posts: tag.documents.map(({ post }) => ({
+                    ...post,
+                    url: fromTagsDir(post.url),
+                    formattedDate: this.formatDate(post.date),
+                    categoryName: this.getCategoryName(post.category),
+                    categoryColor: this.getCategory(post.category)?.color || ''
+                }))
+            });
+            page.feeds.push({
+                type: 'application/rss+xml',
+                title: `${this.site.title}: ${tag.name} (RSS)`,
+                href: `../posts/feeds/tag/${tag.slug}/feed.xml`
+            });
+
+            fs.writeFileSync(path.join(tagsDir, `${tag.slug}.html`), this.renderTemplate('pages', 'tag', page), 'utf8');
+            written.add(`${tag.slug}.html`);
+        });
+
+        const index = listingPage({
+            title: 'Tags',
+            url: this.absoluteUrl('./tags/'),
+            tagIndex: tags.map(tag => ({ name: tag.name, url: `${tag.slug}.html`, count: tag.documents.length }))
+        });
+        fs.writeFileSync(path.join(tagsDir, 'index.html'), this.renderTemplate('pages', 'tags', index), 'utf8');
+
+        fs.readdirSync(tagsDir)
+            .filter(file => file.endsWith('.html') && !written.has(file))
+            .forEach(file => fs.unlinkSync(path.join(tagsDir, file)));
+
+        console.log(`🏷️  Updated tags/ with ${tags.length} tag pages`);
+    }
+
+    /**
+     * Write sitemap.xml and robots.txt to the site root. The sitemap lists
+     * the pages crawlers can fetch: the homepage, every post and the tag
+     * pages (category routes are #fragments of the homepage, which crawlers
+     * drop); each lastmod is the newest change among the posts it shows.
+     */
+    writeSitemap(documents, siteRoot) {
+        const newest = dates => dates.reduce((latest, date) => (date > latest ? date : latest), '');
+        const tags = this.groupTags(documents);
+
+        const entries = [
+            { url: `${this.site.url}/`, lastModified: newest(documents.map(document => document.lastModified)) },
+            ...[...documents]
+                .sort((a, b) => new Date(b.post.date) - new Date(a.post.date))
+                .map(({ post, lastModified }) => ({ url: this.absoluteUrl(post.url), lastModified })),
+            {
+                url: this.absoluteUrl('./tags/'),
+                lastModified: newest(tags.flatMap(tag => tag.documents.map(document => document.lastModified)))
+            },
+            ...tags.map(tag => ({
+                url: this.absoluteUrl(tag.url),
+                lastModified: newest(tag.documents.map(document => document.lastModified))
+            }))
+        ];
+
+        const urls = entries.map(({ url, lastModified }) => `
+  <url>
+    <loc>${escape.html(url)}</loc>${lastModified ? `
+    <lastmod>${escape.html(lastModified)}</lastmod>` : ''}
+  </url>`).join('');
+
+        fs.writeFileSync(path.join(siteRoot, 'sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`, 'utf8');
+
+        fs.writeFileSync(path.join(siteRoot, 'robots.txt'), `User-agent: *
+Allow: /
+
+Sitemap: ${this.site.url}/sitemap.xml
+`, 'utf8');
+
+        console.log(`🗺️  Updated sitemap.xml with ${entries.length} URLs and robots.txt`);
+    }
+
+    /**
+     * Resolve a site-relative URL (e.g. ./posts/a.html) against the site base URL
+     */
+    absoluteUrl(url) {
+        return new URL(url, `${this.site.url}/`).href;
+    }
+
+    /**
+     * Slug used for a tag's feed directory and page: "Proof of Work" -> proof-of-work
+     */
+    tagSlug(tag) {
+        return textAnalysis.tagSlug(tag);
+    }
+
+    /**
+     * Feeds linked from a post page with <link rel="alternate">: the site
+     * feeds plus the RSS feed for the post's category. Paths are relative
+     * to the posts directory.
+     */
+    getFeedLinks(category) {
+        const links = [
+            { type: 'application/rss+xml', title: `${this.site.title} (RSS)`, href: 'feed.xml' },
+            { type: 'application/atom+xml', title: `${this.site.title} (Atom)`, href: 'atom.xml' },
+            { type: 'application/feed+json', title: `${this.site.title} (JSON Feed)`, href: 'feed.json' }
+        ];
+
+        if (category) {
+            links.push({
+                type: 'application/rss+xml',
+                title: `${this.site.title}: ${this.getCategoryName(category)} (RSS)`,
+                href: `feeds/category/${this.tagSlug(category)}/feed.xml`
+            });
+        }
+
+        return links;
+    }
+
+    /**
+     * Write RSS 2.0 (feed.xml), Atom (atom.xml) and JSON Feed (feed.json)
+     * for the whole site into feedsDir, and the same three for every
+     * category and tag under feedsDir/feeds/. Each feed holds the most
+     * recent site.feedLimit posts with their full rendered content.
+     */
+    writeFeeds(documents, feedsDir) {
+        const entries = [...documents]
+            .sort((a, b) => new Date(b.post.date) - new Date(a.post.date))
+            .map(({ post, content }) => {
+                const url = this.absoluteUrl(post.url);
+                const render = () => this.renderFeedContent(content, url);
+                let html = null;
+
+                // Rendered on first use: only the newest posts of each feed need it
+                return { post, url, get html() { return html ?? (html = render()); } };
+            });
+
+        const feeds = [{ dir: '', title: this.site.title, entries }];
+        const groups = new Map();
+        const addToGroup = (kind, name, entry) => {
+            const key = `${kind}/${this.tagSlug(name)}`;
+            if (!groups.has(key)) {
+                const title = kind === 'category' ? this.getCategoryName(name) : name;
+                groups.set(key, { dir: `feeds/${key}`, title: `${this.site.title}: ${title}`, entries: [] });
+            }
+            groups.get(key).entries.push(entry);
+        };
+
+        entries.forEach(entry => {
+            addToGroup('category', entry.post.category, entry);
+            (entry.post.tags || []).forEach(tag => addToGroup('tag', tag, entry));
+        });
+        feeds.push(...groups.values());
+
+        // Start from scratch so feeds for removed tags and categories disappear
+        fs.rmSync(path.join(feedsDir, 'feeds'), { recursive: true, force: true });
+
+        feeds.forEach(feed => {
+            const dir = path.join(feedsDir, feed.dir);
+            fs.mkdirSync(dir, { recursive: true });
+
+            const context = {
+                ...feed,
+                entries: feed.entries.slice(0, this.site.feedLimit),
+                url: url => this.absoluteUrl(`./posts/${feed.dir ? `${feed.dir}/` : ''}${url}`)
+            };
+
+            fs.writeFileSync(path.join(dir, 'feed.xml'), this.createRssFeed(context), 'utf8');
+            fs.writeFileSync(path.join(dir, 'atom.xml'), this.createAtomFeed(context), 'utf8');
+            fs.writeFileSync(path.join(dir, 'feed.json'), this.createJsonFeed(context), 'utf8');
+        });
+
+        console.log(`📡 Updated RSS, Atom and JSON feeds (${groups.size} category and tag feeds)`);
+    }
+
+    /**
+     * Render a post body for a feed reader: links and images point to
+     * absolute URLs because feed content is shown away from the site
+     */
+    renderFeedContent(markdown, postUrl) {
+        // Feed readers do not load KaTeX's stylesheet, so send MathML only,
+        // and they would show hover-only heading anchors as a stray "#"
+        const html = this.renderMarkdown(markdown, { mathOutput: 'mathml' })
+            .replace(/ <a class="heading-anchor"[^>]*>#<\/a>/g, '');
+
+        return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, value) => {
+            try {
+                return `${attribute}="${escape.attr(new URL(decodeEntities(value), postUrl).href)}"`;
+            } catch (error) {
+                return match;
+            }
+        });
+    }
+
+    /**
+     * When the newest entry was published or updated, or now for an empty feed
+     */
+    feedUpdated(entries) {
+        if (entries.length === 0) {
+            return new Date();
+        }
+        return this.feedDate(entries.map(({ post }) => post.updated || post.date).sort().pop());
+    }
+
+    /**
+     * Post dates are calendar days; publish them at midnight UTC
+     */
+    feedDate(date) {
+        return new Date(`${date}T00:00:00Z`);
+    }
+
+    /**
+     * RSS 2.0 with full content in content:encoded. Dates are RFC 822.
+     */
+    createRssFeed(feed) {
+        const items = feed.entries.map(({ post, url, html }) => `
+    <item>
+      <title>${escape.html(post.title)}</title>
+      <link>${escape.html(url)}</link>
+      <guid isPermaLink="true">${escape.html(url)}</guid>
+      <pubDate>${this.feedDate(post.date).toUTCString()}</pubDate>
+      <dc:creator>${escape.html(post.author)}</dc:creator>
+      <category>${escape.html(post.category)}</category>${(post.tags || []).map(tag => `
+      <category>${escape.html(tag)}</category>`).join('')}
+      <description>${escape.html(post.excerpt)}</description>
+      <content:encoded>${escape.html(html)}</content:encoded>
+    </item>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escape.html(feed.title)}</title>
+    <link>${escape.html(`${this.site.url}/`)}</link>
+    <description>${escape.html(this.site.description)}</description>
+    <language>${escape.html(this.site.language)}</language>
+    <lastBuildDate>${this.feedUpdated(feed.entries).toUTCString()}</lastBuildDate>
+    <atom:link href="${escape.attr(feed.url('feed.xml'))}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+    }
+
+    /**
+     * Atom 1.0 with full content. Dates are RFC 3339.
+     */
+    createAtomFeed(feed) {
+        const entries = feed.entries.map(({ post, url, html }) => `
+  <entry>
+    <title>${escape.html(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escape.attr(url)}"/>
+    <id>${escape.html(url)}</id>
+    <published>${this.feedDate(post.date).toISOString()}</published>
+    <updated>${this.feedDate(post.updated || post.date).toISOString()}</updated>
+    <author><name>${escape.html(post.author)}</name></author>
+    <category term="${escape.attr(post.category)}"/>${(post.tags || []).map(tag => `
+    <category term="${escape.attr(tag)}"/>`).join('')}
+    <summary>${escape.html(post.excerpt)}</summary>
+    <content type="html">${escape.html(html)}</content>
+  </entry>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escape.attr(this.site.language)}">
+  <title>${escape.html(feed.title)}</title>
+  <subtitle>${escape.html(this.site.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escape.attr(`${this.site.url}/`)}"/>
+  <link rel="self" type="application/atom+xml" href="${escape.attr(feed.url('atom.xml'))}"/>
+  <id>${escape.html(feed.url('atom.xml'))}</id>
+  <updated>${this.feedUpdated(feed.entries).toISOString()}</updated>
+  <author><name>${escape.html(this.site.author)}</name></author>${entries}
+</feed>
+`;
+    }
+
+    /**
+     * JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+     */
+    createJsonFeed(feed) {
+        return JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            home_page_url: `${this.site.url}/`,
+            feed_url: feed.url('feed.json'),
+            description: this.site.description,
+            language: this.site.language,
+            authors: [{ name: this.site.author }],
+            items: feed.entries.map(({ post, url, html }) => ({
+                id: url,
+                url,
+                title: post.title,
+                content_html: html,
+                summary: post.excerpt,
+                date_published: this.feedDate(post.date).toISOString(),
+                ...(post.updated ? { date_modified: this.feedDate(post.updated).toISOString() } : {}),
+                authors: [{ name: post.author }],
+                tags: [post.category, ...(post.tags || [])]
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Hash file contents or strings for change detection
+     */
+    hash(...contents) {
+        const hash = crypto.createHash('sha256');
+        contents.forEach(content => hash.update(content));
+        return hash.digest('hex');
+    }
+
+    /**
+     * Hash everything that shapes a generated page other than the post
+     * itself: the builder, its options, its shared modules, every layout
+     * and partial, and the stylesheet and avatar preview images use.
+     */
+    getTemplateHash() {
+        const templateFiles = ['layouts', 'partials']
+            .flatMap(kind => fs.readdirSync(path.join(TEMPLATES_DIR, kind))
+                .sort()
+                .map(file => path.join(TEMPLATES_DIR, kind, file)));
+
+        return this.hash(
+            JSON.stringify(this.options),
+            // Installing the rasterizer adds preview images to every page
+            `rasterizer:${Boolean(loadRasterizer())}`,
+            // Installing sharp turns every image into a responsive <picture>
+            `images:${Boolean(loadImageProcessor())}`,
+            ...[__filename, require.resolve('./src/text-analysis'), ...templateFiles, STYLESHEET_PATH]
+                .map(file => `${path.relative(__dirname, file)}\0${fs.readFileSync(file, 'utf8')}`),
+            fs.readFileSync(AVATAR_PATH)
+        );
+    }
+
+    /**
+     * Read the build manifest, or an empty one if missing or unreadable
+     */
+    readManifest(manifestPath) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            if (manifest.version === MANIFEST_VERSION && manifest.posts) {
+                return manifest;
+            }
+        } catch (error) {
+            // No manifest yet: everything gets built
+        }
+
+        return { version: MANIFEST_VERSION, templateHash: null, posts: {} };
+    }
+
+    /**
+     * Incrementally build the site: regenerate only posts whose source or
+     * template changed since the last build, remove pages whose markdown
+     * was deleted, and regenerate metadata.json and the search index.
+     * Resolves to a summary including any errors instead of exiting, so
+     * callers decide how to report them.
+     */
+    async build(inputDir = './posts', outputDir = './posts', options = {}) {
+        const { force = false } = options;
+        const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+        const metadataPath = path.join(outputDir, 'metadata.json');
+
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const previous = this.readManifest(manifestPath);
+        const templateHash = this.getTemplateHash();
+        const templateChanged = force || previous.templateHash !== templateHash;
+        const manifest = { version: MANIFEST_VERSION, templateHash, posts: {} };
+
+        const markdownFiles = fs.readdirSync(inputDir).filter(file =>
+            file.endsWith('.md') && !file.startsWith('.')
+        );
+
+        const result = { built: [], unchanged: [], skipped: [], removed: [], errors: [] };
+        const reportError = (error, inputPath) => {
+            if (!(error instanceof FrontMatterError)) {
+                error.message = `${path.relative(process.cwd(), inputPath)}: ${error.message}`;
+            }
+            result.errors.push(error);
+        };
+
+        // First pass: read every post, rendering only the changed ones, so
+        // that each page can link to its neighbours and related posts
+        const sources = [];
+        for (const file of markdownFiles) {
+            const inputPath = path.join(inputDir, file);
+
+            try {
+                const source = fs.readFileSync(inputPath, 'utf8');
+                const { frontMatter, content } = this.parseFrontMatter(source, path.relative(process.cwd(), inputPath));
+                const cached = previous.posts[file];
+
+                // Drafts and scheduled posts get no page unless previewing them
+                if (!this.isBuildable(frontMatter)) {
+                    result.skipped.push(file);
+                    continue;
+                }
+
+                // A local cover must exist like any other image
+                if (frontMatter.cover) {
+                    this.findImageFile(frontMatter.cover, outputDir);
+                }
+
+                // Embedded images count as part of the source: replacing one
+                // rebuilds the page. Deleted variants are regenerated here too.
+                const images = await this.prepareImages(content, outputDir);
+                const sourceHash = this.hash(source, ...[...images.values()].map(image => image.hash));
+                const diagrams = await this.prepareDiagrams(content);
+
+                const sourceUnchanged = !templateChanged && cached && cached.sourceHash === sourceHash;
+                const htmlContent = sourceUnchanged ? null : this.renderMarkdown(content, { images, diagrams });
+                const stats = sourceUnchanged ? cached.stats : this.computeReadingStats(htmlContent);
+                const hasMath = sourceUnchanged ? cached.hasMath : this.hasMath(htmlContent);
+
+                sources.push({
+                    file, inputPath, sourceHash, frontMatter, content, images, diagrams, htmlContent, stats, hasMath,
+                    post: this.createPostEntry(file, frontMatter, stats),
+                    published: this.isPublished(frontMatter)
+                });
+            } catch (error) {
+                reportError(error, inputPath);
+            }
+        }
+
+        // Drafts previewed with --drafts get pages, but nothing lists or links them
+        const posts = sources.filter(source => source.published).map(source => source.post);
+        const searchDocuments = [];
+        const previews = new Set();
+        const imageVariants = new Set();
+
+        // Second pass: write the pages whose source, template or links changed
+        sources.forEach(({ file, inputPath, sourceHash, frontMatter, content, images, diagrams, htmlContent, stats, hasMath, post, published }) => {
+            const outputFile = file.replace(/\.md$/, '.html');
+            const outputPath = path.join(outputDir, outputFile);
+
+            try {
+                const cached = previous.posts[file];
+                const navigation = this.getPostNavigation(post, posts);
+                const navigationHash = this.hash(JSON.stringify(navigation));
+                const isUnchanged = htmlContent === null && cached.navigationHash === navigationHash && fs.existsSync(outputPath);
+
+                // Unchanged posts still need their preview image and KaTeX files if they were deleted
+                const previewImage = this.writePreviewImage(file, frontMatter, stats, outputDir);
+                if (previewImage) {
+                    previews.add(path.basename(previewImage));
+                }
+                images.forEach(image => image.files.forEach(variant => imageVariants.add(variant)));
+                if (hasMath) {
+                    writeKatexAssets(outputDir);
+                }
+
+                if (isUnchanged) {
+                    result.unchanged.push(file);
+                } else {
+                    const page = this.createHtmlDocument(frontMatter, htmlContent || this.renderMarkdown(content, { images, diagrams }), {
+                        stats,
+                        url: this.postUrl(file),
+                        previewImage,
+                        navigation
+                    });
+                    fs.writeFileSync(outputPath, page, 'utf8');
+                    result.built.push(file);
+                    console.log(`✅ Built ${inputPath} → ${outputPath}`);
+                }
+
+                manifest.posts[file] = { sourceHash, navigationHash, output: outputFile, stats, hasMath };
+                if (published) {
+                    searchDocuments.push({ post, content, lastModified: this.getLastModified(frontMatter) });
+                }
+            } catch (error) {
+                reportError(error, inputPath);
+            }
+        });
+
+        // Remove pages whose markdown source was deleted or is no longer published
+        Object.entries(previous.posts)
+            .filter(([file]) => !markdownFiles.includes(file) || result.skipped.includes(file))
+            .forEach(([file, entry]) => {
+                const orphanPath = path.join(outputDir, entry.output);
+                if (fs.existsSync(orphanPath)) {
+                    fs.unlinkSync(orphanPath);
+                    console.log(`🗑️  Removed ${orphanPath} (${file} was ${markdownFiles.includes(file) ? 'unpublished' : 'deleted'})`);
+                }
+                result.removed.push(entry.output);
+            });
+
+        // Remove preview images no post uses any more
+        const previewsDir = path.join(outputDir, 'previews');
+        if (result.errors.length === 0 && fs.existsSync(previewsDir)) {
+            fs.readdirSync(previewsDir)
+                .filter(file => file.endsWith('.png') && !previews.has(file))
+                .forEach(file => fs.unlinkSync(path.join(previewsDir, file)));
+        }
+
+        // ...and image variants generated for images no post embeds any more
+        const imagesDir = path.join(outputDir, 'images');
+        if (result.errors.length === 0 && fs.existsSync(imagesDir)) {
+            fs.readdirSync(imagesDir)
+                .filter(file => /\.(avif|webp)$/.test(file) && !imageVariants.has(file))
+                .forEach(file => fs.unlinkSync(path.join(imagesDir, file)));
+        }
+
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+
+        // Leave metadata.json untouched rather than silently dropping posts
+        if (result.errors.length === 0) {
+            this.writeMetadata(posts, searchDocuments, metadataPath);
+        }
+
+        console.log(`\n📊 Build Summary:`);
+        console.log(`   ✅ Built: ${result.built.length}`);
+        console.log(`   ⏭️  Unchanged: ${result.unchanged.length}`);
+        if (result.skipped.length > 0) {
+            console.log(`   📝 Drafts and scheduled: ${result.skipped.length} (build with --drafts to preview)`);
+        }
+        if (result.removed.length > 0) {
+            console.log(`   🗑️  Removed: ${result.removed.length}`);
+        }
+        if (result.errors.length > 0) {
+            console.log(`   ❌ Failed: ${result.errors.length}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Split a post body into plain-text sections, one per heading, each
+     * carrying the same id the heading gets on the rendered page
+     */
+    extractSearchText(markdown) {
+        const slugger = this.createSlugger();
+        const sections = [{ heading: '', id: '', text: [] }];
+        const addText = text => sections[sections.length - 1].text.push(text);
+
+        const stripTags = html => html.replace(/<[^>]*>/g, ' ');
+        const inlineText = (tokens = []) => tokens.map(token => {
+            if (token.tokens) return inlineText(token.tokens);
+            if (token.type === 'inlineMath' || token.type === 'equationReference') return ' ';
+            if (token.type === 'footnoteReference') return '';
+            if (token.type === 'html') return stripTags(token.text);
+            return token.text || '';
+        }).join('');
+
+        const walk = tokens => tokens.forEach(token => {
+            switch (token.type) {
+                case 'heading': {
+                    const heading = this.headingText(marked.Parser.parseInline(token.tokens));
+                    sections.push({ heading, id: slugger(heading), text: [] });
+                    break;
+                }
+                case 'code':
+                    addText(token.text);
+                    break;
+                case 'html':
+                    addText(stripTags(token.text));
+                    break;
+                case 'blockquote':
+                case 'footnoteDefinition':
+                    walk(token.tokens);
+                    break;
+                case 'callout':
+                    addText(inlineText(token.titleTokens));
+                    walk(token.tokens);
+                    break;
+                case 'definitionList':
+                    token.tokens.forEach(item => addText(inlineText(item.tokens)));
+                    break;
+                case 'list':
+                    token.items.forEach(item => walk(item.tokens));
+                    break;
+                case 'table':
+                    [token.header, ...token.rows].forEach(row =>
+                        row.forEach(cell => addText(inlineText(cell.tokens)))
+                    );
+                    break;
+                case 'space':
+                case 'hr':
+                case 'blockMath':
+                    break;
+                default:
+                    addText(token.tokens ? inlineText(token.tokens) : (token.text || ''));
+            }
+        });
+
+        walk(marked.lexer(markdown));
+
+        return sections
+            .map(section => ({ ...section, text: section.text.join(' ').replace(/\s+/g, ' ').trim() }))
+            .filter(section => section.heading || section.text);
+    }
+
+    /**
+     * Build an inverted index of stemmed terms for client-side search.
+     * Each posting is [documentIndex, score], where the score sums the
+     * log-scaled term frequency of every field weighted by importance.
+     * Documents keep their sections so results can show matching passages.
+     */
+    buildSearchIndex(documents) {
+        const fieldWeights = {
+            title: 10,
+            tags: 6,
+            headings: 5,
+            category: 4,
+            excerpt: 3,
+            body: 1
+        };
+        const terms = Object.create(null);
+
+        const indexDocuments = documents.map(({ post, content }, documentIndex) => {
+            const sections = this.extractSearchText(content);
+            const fields = {
+                title: post.title,
+                tags: post.tags.join(' '),
+                headings: sections.map(section => section.heading).join('\n'),
+                category: post.category,
+                excerpt: post.excerpt,
+                body: sections.map(section => section.text).join('\n')
+            };
+
+            const scores = Object.create(null);
+            Object.entries(fields).forEach(([field, text]) => {
+                const counts = Object.create(null);
+                textAnalysis.tokenize(text).forEach(term => {
+                    counts[term] = (counts[term] || 0) + 1;
+                });
+
+                Object.entries(counts).forEach(([term, count]) => {
+                    scores[term] = (scores[term] || 0) + fieldWeights[field] * (1 + Math.log(count));
+                });
+            });
+
+            Object.entries(scores).forEach(([term, score]) => {
+                (terms[term] = terms[term] || []).push([documentIndex, Math.round(score * 100) / 100]);
+            });
+
+            return { url: post.url, title: post.title, sections };
+        });
+
+        return { version: 2, documents: indexDocuments, terms };
+    }
+}
+
+/**
+ * Local preview server: serves the site, rebuilds incrementally when posts
+ * or source files change and live-reloads open pages over Server-Sent Events.
+ * Build errors are shown as an overlay in the browser instead of reloading.
+ */
+class PreviewServer {
+    constructor(converter, options = {}) {
+        this.converter = converter;
+        this.rootDir = path.resolve(options.rootDir || '.');
+        this.postsDir = path.resolve(options.postsDir || './posts');
+        this.port = options.port || 8000;
+        this.clients = new Set();
+        this.watchers = [];
+        this.errors = [];
+        this.rebuildTimer = null;
+        this.building = false;
+        this.rebuildQueued = false;
+        this.siteConfigChanged = false;
+    }
+
+    static get contentTypes() {
+        return {
+            '.html': 'text/html; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.js': 'application/javascript; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.xml': 'application/xml; charset=utf-8',
+            '.txt': 'text/plain; charset=utf-8',
+            '.md': 'text/plain; charset=utf-8',
+            '.svg': 'image/svg+xml',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.gif': 'image/gif',
+            '.webp': 'image/webp',
+            '.avif': 'image/avif',
+            '.ico': 'image/x-icon'
+        };
+    }
+
+    /**
+     * Script injected into every HTML page served: reloads on rebuild and
+     * shows build errors in an overlay
+     */
+    static get clientScript() {
+        return `<script>
+(function() {
+    const source = new EventSource('/__livereload');
+    source.addEventListener('reload', () => location.reload());
+    source.addEventListener('status', (event) => {
+        const { errors } = JSON.parse(event.data);
+        let overlay = document.getElementById('build-error-overlay');
+        if (errors.length === 0) {
+            if (overlay) overlay.remove();
+            return;
+        }
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'build-error-overlay';
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;overflow:auto;padding:2rem;' +
+                'background:rgba(20,20,20,0.95);color:#fca5a5;font:14px/1.6 monospace;white-space:pre-wrap;';
+            document.body.appendChild(overlay);
+        }
+        overlay.textContent = '❌ Build failed\\n\\n' + errors.join('\\n\\n');
+    });
+})();
+</script>`;
+    }
+
+    /**
+     * Build once, then start serving and watching
+     */
+    start() {
+        this.rebuild();
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.listen(this.port, () => {
+            console.log(`\n🌐 Preview server running at http://localhost:${this.port}/`);
+            console.log(`👀 Watching posts/, src/, templates/, index.html and ${path.basename(SITE_CONFIG_PATH)} for changes (Ctrl+C to stop)`);
+        });
+
+        this.watch(this.postsDir, file => file.endsWith('.md'));
+        this.watch(path.join(this.rootDir, 'src'), () => true, { recursive: true });
+        this.watch(this.rootDir, file => file === 'index.html');
+        this.watch(TEMPLATES_DIR, file => file.endsWith('.html'), { recursive: true });
+        this.watch(path.dirname(SITE_CONFIG_PATH), file => file === path.basename(SITE_CONFIG_PATH));
+
+        // Keep idle event streams from timing out
+        this.keepAlive = setInterval(() => {
+            this.clients.forEach(client => client.write(': keep-alive\n\n'));
+        }, 30000);
+
+        process.on('SIGINT', () => this.stop());
+    }
+
+    /**
+     * Close the server, watchers and open event streams
+     */
+    stop() {
+        clearInterval(this.keepAlive);
+        clearTimeout(this.rebuildTimer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.clients.forEach(client => client.end());
+        this.server.close();
+        console.log('\n👋 Preview server stopped');
+        process.exit(0);
+    }
+
+    /**
+     * Watch a directory, scheduling a rebuild when a matching file changes.
+     * Generated files (.html, metadata.json, ...) never match, so rebuilding
+     * does not trigger itself.
+     */
+    watch(dir, matches, options = {}) {
+        if (!fs.existsSync(dir)) return;
+
+        const onChange = (eventType, file) => {
+            if (file && matches(file.toString())) {
+                this.scheduleRebuild(path.join(dir, file.toString()));
+            }
+        };
+
+        try {
+            this.watchers.push(fs.watch(dir, options, onChange));
+        } catch (error) {
+            // Recursive watching is not supported on every platform/Node version
+            this.watchers.push(fs.watch(dir, onChange));
+        }
+    }
+
+    /**
+     * Debounce bursts of file events (editors often write several times)
+     */
+    scheduleRebuild(changedPath) {
+        if (changedPath === SITE_CONFIG_PATH) {
+            this.siteConfigChanged = true;
+        }
+
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => {
+            console.log(`\n🔄 ${path.relative(this.rootDir, changedPath)} changed, rebuilding...`);
+            this.rebuild();
+        }, 100);
+    }
+
+    /**
+     * Run an incremental build and notify open pages
+     */
+    async rebuild() {
+        // Let the running build finish, then build once more
+        if (this.building) {
+            this.rebuildQueued = true;
+            return;
+        }
+
+        let errors;
+        this.building = true;
+
+        // Pick up edited layouts and partials
+        this.converter.templateCache.clear();
+
+        try {
+            // ...and site settings, which are part of the template hash, so
+            // every page is rebuilt with them
+            if (this.siteConfigChanged) {
+                this.siteConfigChanged = false;
+                this.converter.site = this.converter.options.site = loadSiteConfig();
+            }
+
+            errors = (await this.converter.build(this.postsDir, this.postsDir)).errors;
+        } catch (error) {
+            errors = [error];
+        }
+
+        this.building = false;
+
+        this.errors = errors.map(error => error instanceof FrontMatterError ? error.format() : error.message);
+
+        if (this.errors.length > 0) {
+            this.converter.reportErrors(errors);
+            this.broadcast('status', { errors: this.errors });
+        } else {
+            this.broadcast('reload', {});
+        }
+
+        if (this.rebuildQueued) {
+            this.rebuildQueued = false;
+            await this.rebuild();
+        }
+    }
+
+    /**
+     * Send an event to every connected page
+     */
+    broadcast(event, data) {
+        this.clients.forEach(client => client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    }
+
+    /**
+     * Serve the live reload event stream or a static file
+     */
+    handleRequest(request, response) {
+        const { pathname } = new URL(request.url, `http://localhost:${this.port}`);
+
+        if (pathname === '/__livereload') {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            response.write(`event: status\ndata: ${JSON.stringify({ errors: this.errors })}\n\n`);
+            this.clients.add(response);
+            request.on('close', () => this.clients.delete(response));
+            return;
+        }
+
+        let filePath;
+        try {
+            filePath = path.join(this.rootDir, decodeURIComponent(pathname));
+        } catch (error) {
+            // Malformed percent-encoding such as /%E0%A4%A
+            response.writeHead(400, { 'Content-Type': 'text/plain' });
+            response.end('Bad request');
+            return;
+        }
+
+        // Never serve anything outside the site root
+        if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+            response.writeHead(403, { 'Content-Type': 'text/plain' });
+            response.end('Forbidden');
+            return;
+        }
+
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                response.writeHead(404, { 'Content-Type': 'text/plain' });
+                response.end(`Not found: ${pathname}`);
+                return;
             }
-            
-            html += ' loading="lazy">';
-            
-            // If there's a title, wrap in figure with caption
-            if (title && title.trim()) {
-                html = `<figure class="image-container">
-                    ${html}
-                    <figcaption>${title}</figcaption>
-                </figure>`;
+
+            const extension = path.extname(filePath).toLowerCase();
+            const contentType = PreviewServer.contentTypes[extension] || 'application/octet-stream';
+            let body = data;
+
+            if (extension === '.html') {
+                const html = data.toString('utf8');
+                body = html.includes('</body>')
+                    ? html.replace('</body>', `${PreviewServer.clientScript}\n</body>`)
+                    : html + PreviewServer.clientScript;
             }
-            
-            return html;
-        };
 
-        marked.setOptions({ renderer });
+            response.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+            response.end(body);
+        });
+    }
+}
+
+/**
+ * Checks the built site for links to missing pages, missing images and
+ * assets, and fragment anchors with no matching id, in index.html and every
+ * generated page, plus the post URLs in metadata.json. With `external`,
+ * http(s) links are requested too. Problems in post content are reported
+ * at their line in the markdown source, everything else at its line in the
+ * generated HTML.
+ */
+class LinkChecker {
+    constructor(converter, options = {}) {
+        this.converter = converter;
+        this.postsDir = path.resolve(options.postsDir || './posts');
+        this.rootDir = path.dirname(this.postsDir);
+        this.external = Boolean(options.external);
+        this.cachePath = path.join(this.postsDir, LINK_CACHE_FILENAME);
+
+        // Ids of every page a fragment links into, read on first use
+        this.pageIds = new Map();
+        this.problems = new Map();
     }
 
     /**
-     * Parse front matter from markdown
+     * Check everything, print the problems found as file:line: message and
+     * resolve to a summary
      */
-    parseFrontMatter(content) {
-        const frontMatterRegex = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/;
-        const match = content.match(frontMatterRegex);
-        
-        if (!match) {
-            return { frontMatter: {}, content };
-        }
+    async check() {
+        const pages = this.listPages();
+        const externalLinks = new Map();
+        let linkCount = 0;
 
-        const frontMatter = {};
-        const frontMatterLines = match[1].split(/\r?\n/);
-        
-        frontMatterLines.forEach(line => {
-            const colonIndex = line.indexOf(':');
-            if (colonIndex > -1) {
-                const key = line.substring(0, colonIndex).trim();
-                let value = line.substring(colonIndex + 1).trim();
-                
-                // Remove quotes if present
-                if (value.startsWith('"') && value.endsWith('"')) {
-                    value = value.slice(1, -1);
+        pages.forEach(pagePath => {
+            const { references } = this.parsePage(fs.readFileSync(pagePath, 'utf8'));
+            const source = this.readSourceLines(pagePath);
+
+            references.forEach(reference => {
+                const locations = source.lines.has(reference.url)
+                    ? source.lines.get(reference.url).map(line => ({ file: source.path, line }))
+                    : [{ file: pagePath, line: reference.line }];
+                const url = this.toSitePath(reference.url);
+
+                if (url === null) return;
+                linkCount++;
+
+                if (/^(https?:)?\/\//i.test(url)) {
+                    const absoluteUrl = url.startsWith('//') ? `https:${url}` : url;
+                    externalLinks.set(absoluteUrl, [...(externalLinks.get(absoluteUrl) || []), ...locations]);
+                    return;
                 }
-                
-                // Handle arrays
-                if (value.startsWith('[') && value.endsWith(']')) {
-                    value = value.slice(1, -1).split(',').map(item => 
-                        item.trim().replace(/["\[\]]/g, '')
-                    );
+
+                const problem = this.checkInternalLink(url, pagePath, reference.tag);
+                if (problem) {
+                    locations.forEach(location => this.report(location, problem));
                 }
-                
-                frontMatter[key] = value;
-            }
+            });
         });
 
-        return { frontMatter, content: match[2].trim() };
+        this.checkMetadata();
+
+        if (this.external) {
+            const failures = await this.checkExternalLinks([...externalLinks.keys()]);
+            failures.forEach((reason, url) => {
+                externalLinks.get(url).forEach(location => this.report(location, `broken external link: ${url} (${reason})`));
+            });
+        }
+
+        const problems = [...this.problems.values()].sort((a, b) =>
+            a.file.localeCompare(b.file) || a.line - b.line);
+
+        console.log(`🔗 Checked ${linkCount} links in ${pages.length} pages`);
+        if (!this.external && externalLinks.size > 0) {
+            console.log(`   🌐 ${externalLinks.size} external links not checked (use --external)`);
+        }
+
+        if (problems.length > 0) {
+            console.error(`\n❌ ${problems.length} broken link(s):\n`);
+            problems.forEach(problem => console.error(`${problem.file}:${problem.line}: ${problem.message}`));
+        } else {
+            console.log('✅ No broken links found');
+        }
+
+        return { pages: pages.length, links: linkCount, problems };
     }
 
     /**
-     * Create complete HTML document
+     * index.html, the post pages and the tag pages
      */
-    createHtmlDocument(frontMatter, htmlContent) {
-        const title = frontMatter.title || 'Blog Post';
-        const description = frontMatter.description || '';
-        const date = frontMatter.date || new Date().toISOString().split('T')[0];
-        const category = frontMatter.category || 'General';
-        const tags = Array.isArray(frontMatter.tags) ? frontMatter.tags : [];
-
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title} | Prashish Phunyal</title>
-    <meta name="description" content="${description}">
-    
-    <!-- Stylesheets -->
-    <link rel="stylesheet" href="../src/style.css">
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:ital,wght@0,400;0,500;0,600;1,400;1,500;1,600&display=swap" rel="stylesheet">
-    
-    <!-- Favicon -->
-    <link rel="icon" type="image/x-icon" href="../src/assets/prashish.png">
-
-    <!-- Theme Script -->
-    <script>
-        (function() {
-            const savedTheme = localStorage.getItem('theme') || 'light';
-            document.documentElement.setAttribute('data-theme', savedTheme);
-        })();
-    </script>
-</head>
-<body>
-    <div class="container">
-        <!-- Theme Toggle -->
-        <div id="theme-toggle" class="theme-toggle" aria-label="Toggle theme">
-            <button type="button" class="theme-toggle-btn" aria-label="Toggle dark/light mode">
-                <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
-                </svg>
-                <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
-                </svg>
-            </button>
-        </div>
-
-        <!-- Header -->
-        <header class="header">
-            <div class="header-content">
-                <h1 class="site-title">
-                    <a href="../index.html" class="site-title-link">Prashish</a>
-                </h1>
-                <nav class="social-nav">
-                    <a href="https://bsky.app/profile/prashishphunyal.bsky.social" target="_blank" rel="noopener noreferrer" class="social-link">
-                        Bluesky
-                    </a>
-                    <a href="https://github.com/pphunyal" target="_blank" rel="noopener noreferrer" class="social-link">
-                        GitHub
-                    </a>
-                    <a href="#newsletter" class="social-link">
-                        Newsletter
-                    </a>
-                </nav>
-            </div>
-        </header>
-
-        <!-- Main Content -->
-        <main class="main">
-            <article class="post-article">
-                <div class="post-header">
-                    <div class="post-meta">
-                        <span class="post-category-tag">${category}</span>
-                        <time class="post-date" datetime="${date}">${new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</time>
-                    </div>
-                    <h1 class="post-title">${title}</h1>
-                    <div class="post-info">
-                        <span class="read-time">5 min read</span>
-                    </div>
-                </div>
-
-                <div class="post-content">
-                    ${htmlContent}
-                </div>
-
-                <div class="post-footer">
-                    <div class="post-tags">
-                        ${tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                    </div>
-                    <div class="post-navigation">
-                        <a href="../index.html" class="nav-link">← Back to Posts</a>
-                    </div>
-                </div>
-            </article>
-        </main>
-
-        <!-- Footer -->
-        <footer class="footer">
-            <p>&copy; ${new Date().getFullYear()} Prashish Phunyal. All rights reserved.</p>
-        </footer>
-    </div>
-
-    <!-- Theme Toggle Script -->
-    <script>
-        const themeToggle = document.getElementById('theme-toggle');
-        
-        themeToggle.addEventListener('click', () => {
-            const currentTheme = document.documentElement.getAttribute('data-theme');
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-            
-            document.documentElement.setAttribute('data-theme', newTheme);
-            localStorage.setItem('theme', newTheme);
-        });
-    </script>
-</body>
-</html>`;
+    listPages() {
+        const htmlFiles = dir => fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(file => file.endsWith('.html')).sort().map(file => path.join(dir, file))
+            : [];
+
+        return [path.join(this.rootDir, 'index.html')]
+            .filter(file => fs.existsSync(file))
+            .concat(htmlFiles(this.postsDir), htmlFiles(path.join(this.rootDir, 'tags')));
     }
 
     /**
-     * Convert markdown file to HTML
+     * Find the URLs an HTML document references (href, src and srcset, with
+     * their line numbers) and the ids it defines. Scripts, styles and
+     * comments are ignored.
      */
-    convertFile(inputPath, outputPath) {
-        try {
-            // Read the markdown file
-            const markdownContent = fs.readFileSync(inputPath, 'utf8');
-            
-            // Parse front matter and content
-            const { frontMatter, content } = this.parseFrontMatter(markdownContent);
-            
-            // Convert markdown to HTML using marked
-            const htmlContent = marked.parse(content);
-            
-            // Create complete HTML document
-            const fullHtml = this.createHtmlDocument(frontMatter, htmlContent);
-            
-            // Write to output file
-            fs.writeFileSync(outputPath, fullHtml, 'utf8');
-            
-            console.log(`✅ Converted ${inputPath} to ${outputPath}`);
-            
-        } catch (error) {
-            console.error(`❌ Error converting ${inputPath}:`, error.message);
-            process.exit(1);
+    parsePage(html) {
+        const blank = text => text.replace(/[^\n]/g, ' ');
+        const visible = html
+            .replace(/<!--[\s\S]*?-->/g, blank)
+            .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (match, open, name, body, close) => open + blank(body) + close);
+
+        const references = [];
+        const ids = new Set();
+        const tagPattern = /<([a-z][a-z0-9-]*)\b([^>]*)>/gi;
+        let tag;
+
+        while ((tag = tagPattern.exec(visible))) {
+            const name = tag[1].toLowerCase();
+            const attributes = this.parseAttributes(tag[2]);
+            const line = visible.slice(0, tag.index).split('\n').length;
+
+            if (attributes.id) ids.add(attributes.id);
+            if (name === 'a' && attributes.name) ids.add(attributes.name);
+
+            // Connection hints name an origin, not a page
+            if (name === 'link' && /\b(preconnect|dns-prefetch)\b/i.test(attributes.rel || '')) continue;
+
+            ['href', 'src', 'srcset'].forEach(attribute => {
+                if (!attributes[attribute]) return;
+
+                const urls = attribute === 'srcset'
+                    ? attributes.srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                    : [attributes[attribute].trim()];
+                urls.filter(Boolean).forEach(url => references.push({ tag: name, url, line }));
+            });
         }
+
+        return { references, ids };
     }
 
     /**
-     * Convert all markdown files in a directory to HTML
+     * Parse the attributes of one tag into a { name: decoded value } object
      */
-    convertAllFiles(inputDir = './posts', outputDir = './posts') {
-        try {
-            // Ensure output directory exists
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+    parseAttributes(source) {
+        const attributes = {};
+        const attributePattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+
+        while ((match = attributePattern.exec(source))) {
+            attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+        }
+
+        return attributes;
+    }
+
+    /**
+     * For a post page, map each URL its markdown source links to (as it
+     * appears in the page) to the source lines it is written on
+     */
+    readSourceLines(pagePath) {
+        const sourcePath = pagePath.replace(/\.html$/, '.md');
+        const source = { path: sourcePath, lines: new Map() };
+
+        if (path.dirname(pagePath) !== this.postsDir || !fs.existsSync(sourcePath)) {
+            return source;
+        }
+
+        const markdown = fs.readFileSync(sourcePath, 'utf8');
+        const bodyStart = (markdown.match(/^---\r?\n(?:[\s\S]*?\r?\n)?---\r?\n/) || [''])[0].length;
+        const content = markdown.slice(bodyStart);
+        const firstLine = markdown.slice(0, bodyStart).split('\n').length;
+
+        const lineAt = offset => firstLine + content.slice(0, offset).split('\n').length - 1;
+        const addLine = (url, line) => {
+            const lines = source.lines.get(url) || [];
+            if (!lines.includes(line)) lines.push(line);
+            source.lines.set(url, lines);
+        };
+
+        // Tokens come in document order, so each one is found after the last
+        let cursor = 0;
+        marked.walkTokens(marked.lexer(content), token => {
+            if (!['link', 'image', 'html'].includes(token.type)) return;
+
+            const index = content.indexOf(token.raw, cursor);
+            if (index === -1) return;
+            cursor = index;
+
+            if (token.type === 'html') {
+                this.parsePage(token.raw).references.forEach(reference => addLine(reference.url, lineAt(index) + reference.line - 1));
+            } else {
+                addLine(token.type === 'image' ? this.converter.resolveImagePath(token.href) : token.href, lineAt(index));
             }
+        });
 
-            // Read all files in the input directory
-            const files = fs.readdirSync(inputDir);
-            
-            // Filter for markdown files
-            const markdownFiles = files.filter(file => 
-                file.endsWith('.md') && !file.startsWith('.')
-            );
+        return source;
+    }
 
-            if (markdownFiles.length === 0) {
-                console.log(`⚠️  No markdown files found in ${inputDir}`);
-                return;
+    /**
+     * Turn links to the site's own URL into site-root paths. Returns null
+     * for links there is nothing to check: mailto:, tel:, data:, other
+     * schemes and bare "#".
+     */
+    toSitePath(url) {
+        const siteUrl = this.converter.site.url;
+
+        if (url === siteUrl || url.startsWith(`${siteUrl}/`) || url.startsWith(`${siteUrl}#`)) {
+            return url.slice(siteUrl.length) || '/';
+        }
+        if (url === '#' || (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:/i.test(url))) {
+            return null;
+        }
+
+        return url;
+    }
+
+    /**
+     * Check a link to a file on the site, and the fragment it points at.
+     * Returns a problem message or null.
+     */
+    checkInternalLink(url, pagePath, tag) {
+        const pageUrl = new URL(path.relative(this.rootDir, pagePath).split(path.sep).map(encodeURIComponent).join('/'), 'http://site.invalid/');
+        const target = new URL(url, pageUrl);
+        const decode = value => {
+            try {
+                return decodeURIComponent(value);
+            } catch (error) {
+                return value;
             }
+        };
 
-            console.log(`🔄 Found ${markdownFiles.length} markdown file(s) to convert...`);
+        let filePath = path.join(this.rootDir, decode(target.pathname));
+        if (target.pathname.endsWith('/') || (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory())) {
+            filePath = path.join(filePath, 'index.html');
+        }
 
-            let converted = 0;
-            let failed = 0;
+        if (!fs.existsSync(filePath)) {
+            const kind = tag === 'a' ? 'broken link' : ['img', 'source'].includes(tag) ? 'missing image' : 'missing file';
+            return `${kind}: ${url} (${path.relative(process.cwd(), filePath)} does not exist)`;
+        }
 
-            markdownFiles.forEach(file => {
-                try {
-                    const inputPath = path.join(inputDir, file);
-                    const outputFile = file.replace(/\.md$/, '.html');
-                    const outputPath = path.join(outputDir, outputFile);
+        const fragment = decode(target.hash.slice(1));
+        if (!fragment || !filePath.endsWith('.html')) return null;
 
-                    this.convertFile(inputPath, outputPath);
-                    converted++;
-                } catch (error) {
-                    console.error(`❌ Failed to convert ${file}:`, error.message);
-                    failed++;
-                }
-            });
+        // index.html routes #category/<slug>, #tag/<slug> and #tags in the browser
+        if (filePath === path.join(this.rootDir, 'index.html') && /^(category\/|tag\/|tags$)/.test(fragment)) {
+            return this.checkRoute(fragment, url);
+        }
 
-            console.log(`\n📊 Conversion Summary:`);
-            console.log(`   ✅ Successfully converted: ${converted} files`);
-            if (failed > 0) {
-                console.log(`   ❌ Failed conversions: ${failed} files`);
+        if (!this.getPageIds(filePath).has(fragment)) {
+            return `broken anchor: ${url} (no element with id "${fragment}" in ${path.relative(process.cwd(), filePath)})`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that a homepage route names a category or tag that has posts
+     */
+    checkRoute(route, url) {
+        const posts = this.readMetadata().posts || [];
+        const [name, slug] = route.split('/');
+
+        if (name === 'category' && !posts.some(post => post.category === slug)) {
+            return `broken link: ${url} (no posts in category "${slug}")`;
+        }
+        if (name === 'tag' && !posts.some(post => (post.tags || []).some(tag => this.converter.tagSlug(tag) === slug))) {
+            return `broken link: ${url} (no posts tagged "${slug}")`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Ids defined by a page, cached per page
+     */
+    getPageIds(filePath) {
+        if (!this.pageIds.has(filePath)) {
+            this.pageIds.set(filePath, this.parsePage(fs.readFileSync(filePath, 'utf8')).ids);
+        }
+
+        return this.pageIds.get(filePath);
+    }
+
+    /**
+     * Parsed metadata.json, or an empty one when missing or unreadable
+     */
+    readMetadata() {
+        if (this.metadata === undefined) {
+            try {
+                this.metadata = JSON.parse(fs.readFileSync(path.join(this.postsDir, 'metadata.json'), 'utf8'));
+            } catch (error) {
+                this.metadata = {};
             }
-            console.log(`   📁 Output directory: ${path.resolve(outputDir)}`);
+        }
 
-        } catch (error) {
-            console.error(`❌ Error reading directory ${inputDir}:`, error.message);
-            process.exit(1);
+        return this.metadata;
+    }
+
+    /**
+     * Check that every post listed in metadata.json has a page
+     */
+    checkMetadata() {
+        const metadataPath = path.join(this.postsDir, 'metadata.json');
+        if (!fs.existsSync(metadataPath)) return;
+
+        const text = fs.readFileSync(metadataPath, 'utf8');
+        const posts = this.readMetadata().posts;
+
+        if (!Array.isArray(posts)) {
+            this.report({ file: metadataPath, line: 1 }, 'invalid metadata.json: expected a "posts" list');
+            return;
         }
+
+        let cursor = 0;
+        posts.forEach(post => {
+            const index = text.indexOf(`"url": ${JSON.stringify(post.url)}`, cursor);
+            cursor = Math.max(cursor, index);
+
+            const problem = this.checkInternalLink(String(post.url || ''), path.join(this.rootDir, 'index.html'), 'a');
+            if (problem) {
+                this.report({ file: metadataPath, line: index === -1 ? 1 : text.slice(0, index).split('\n').length }, `post "${post.title}": ${problem}`);
+            }
+        });
     }
 
     /**
-     * Update metadata.json with new blog posts
+     * Request each external link not covered by the allowlist or a recent
+     * successful check. Resolves to a map of failed URLs to reasons.
      */
-    updateMetadata(inputDir = './posts', metadataPath = './posts/metadata.json') {
-        try {
-            // Read all markdown files
-            const files = fs.readdirSync(inputDir);
-            const markdownFiles = files.filter(file => 
-                file.endsWith('.md') && !file.startsWith('.')
-            );
+    async checkExternalLinks(urls) {
+        const cache = this.readCache();
+        const now = Date.now();
+        const maxAge = LINK_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        const allowlist = this.converter.site.externalLinkAllowlist || [];
+        const failures = new Map();
 
-            // Create new metadata object - only include posts with corresponding markdown files
-            const newMetadata = { posts: [] };
+        const queue = urls.filter(url =>
+            !allowlist.some(prefix => url.startsWith(prefix)) &&
+            !(cache[url] && now - cache[url].checkedAt < maxAge));
 
-            console.log(`🔄 Processing ${markdownFiles.length} markdown files for metadata...`);
+        console.log(`🌐 Checking ${queue.length} external links (${urls.length - queue.length} allowlisted or cached)...`);
 
-            markdownFiles.forEach(file => {
-                const inputPath = path.join(inputDir, file);
-                const markdownContent = fs.readFileSync(inputPath, 'utf8');
-                const { frontMatter } = this.parseFrontMatter(markdownContent);
-
-                if (frontMatter.title && frontMatter.date) {
-                    const htmlFilename = file.replace(/\.md$/, '.html');
-                    const postEntry = {
-                        title: frontMatter.title,
-                        date: frontMatter.date,
-                        category: frontMatter.category || 'general',
-                        excerpt: frontMatter.excerpt || '',
-                        tags: Array.isArray(frontMatter.tags) ? frontMatter.tags : [],
-                        url: `./posts/${htmlFilename}`,
-                        readTime: frontMatter.readTime || '5 min read',
-                        author: frontMatter.author || 'Prashish Phunyal'
-                    };
-
-                    newMetadata.posts.push(postEntry);
-                    console.log(`📝 Added metadata for: ${frontMatter.title}`);
-                }
-            });
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                const result = await this.requestStatus(url);
 
-            // Sort posts by date (most recent first)
-            newMetadata.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+                if (result.ok) {
+                    cache[url] = { status: result.status, checkedAt: now };
+                } else {
+                    delete cache[url];
+                    failures.set(url, result.reason);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: LINK_CHECK_CONCURRENCY }, worker));
 
-            // Write updated metadata
-            fs.writeFileSync(metadataPath, JSON.stringify(newMetadata, null, 2), 'utf8');
-            console.log(`✅ Updated metadata.json with ${newMetadata.posts.length} posts (removed entries without corresponding .md files)`);
+        fs.writeFileSync(this.cachePath, JSON.stringify(cache, null, 2), 'utf8');
+        return failures;
+    }
 
+    /**
+     * Read the external link cache, or an empty one if missing or unreadable
+     */
+    readCache() {
+        try {
+            return JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
         } catch (error) {
-            console.error(`❌ Error updating metadata:`, error.message);
-            process.exit(1);
+            return {};
         }
     }
+
+    /**
+     * Request a URL, following redirects, and resolve to { ok, status, reason }.
+     * Falls back to GET for servers that refuse HEAD.
+     */
+    requestStatus(url, method = 'HEAD', redirects = 0) {
+        return new Promise(resolve => {
+            let target;
+            try {
+                target = new URL(url);
+            } catch (error) {
+                resolve({ ok: false, reason: 'invalid URL' });
+                return;
+            }
+
+            const client = target.protocol === 'https:' ? https : http;
+            const request = client.request(target, {
+                method,
+                timeout: LINK_CHECK_TIMEOUT,
+                headers: { 'User-Agent': 'blog-build link checker' }
+            }, response => {
+                const status = response.statusCode;
+                response.resume();
+
+                if (status >= 300 && status < 400 && response.headers.location && redirects < 5) {
+                    resolve(this.requestStatus(new URL(response.headers.location, target).href, method, redirects + 1));
+                } else if (method === 'HEAD' && [403, 405, 501].includes(status)) {
+                    resolve(this.requestStatus(url, 'GET', redirects));
+                } else {
+                    resolve({ ok: status < 400, status, reason: `HTTP ${status}` });
+                }
+            });
+
+            request.on('timeout', () => request.destroy(new Error('timed out')));
+            request.on('error', error => resolve({ ok: false, reason: error.code || error.message }));
+            request.end();
+        });
+    }
+
+    /**
+     * Record a problem once per file, line and message
+     */
+    report(location, message) {
+        const file = path.relative(process.cwd(), location.file);
+        this.problems.set(`${file}:${location.line}:${message}`, { file, line: location.line, message });
+    }
 }
 
 // CLI usage
 if (require.main === module) {
-    const args = process.argv.slice(2);
-    const converter = new MarkdownConverter();
+    // --sanitize and --drafts apply to every command, so take them out of the positional arguments
+    const rawArgs = process.argv.slice(2);
+    const args = rawArgs.filter(arg => arg !== '--sanitize' && arg !== '--drafts');
+    const converter = new MarkdownConverter({
+        sanitize: rawArgs.includes('--sanitize'),
+        drafts: rawArgs.includes('--drafts')
+    });
     
     // Parse command line arguments
     const command = args[0];
@@ -376,20 +3654,64 @@ Usage:
   node blog-build.js <command> [options]
 
 Commands:
+  build [input-dir] [output-dir]      Incrementally build pages, metadata and search index
+        [--force]                     Rebuild every page
+  serve [--port 8000]                 Preview locally with rebuild on change and live reload
   convert <input.md> [output.html]    Convert single markdown file to HTML
   build-all [input-dir] [output-dir]  Convert all markdown files in directory
   update-metadata [posts-dir]         Update metadata.json with post information
+  check [posts-dir] [--external]      Check built pages for broken links, images and anchors
   help                                Show this help message
 
+Options:
+  --sanitize                          Strip unsafe tags and attributes from raw HTML in posts
+  --drafts                            Also build drafts and scheduled posts (preview only)
+
 Examples:
+  node blog-build.js build
+  node blog-build.js build --sanitize
+  node blog-build.js serve --drafts
   node blog-build.js convert posts/my-post.md
   node blog-build.js build-all posts
   node blog-build.js update-metadata posts
+  node blog-build.js check --external
         `);
         process.exit(1);
     }
 
     switch (command) {
+        case 'build': {
+            const positional = args.slice(1).filter(arg => !arg.startsWith('--'));
+            const buildInputDir = positional[0] || './posts';
+            const buildOutputDir = positional[1] || buildInputDir;
+
+            if (!fs.existsSync(buildInputDir)) {
+                console.error(`❌ Input directory not found: ${buildInputDir}`);
+                process.exit(1);
+            }
+
+            converter.build(buildInputDir, buildOutputDir, { force: args.includes('--force') }).then(result => {
+                if (result.errors.length > 0) {
+                    converter.reportErrors(result.errors);
+                    process.exit(1);
+                }
+            });
+            break;
+        }
+
+        case 'serve': {
+            const portIndex = args.indexOf('--port');
+            const port = portIndex > -1 ? Number(args[portIndex + 1]) : 8000;
+
+            if (!Number.isInteger(port) || port <= 0) {
+                console.error('❌ Error: --port requires a port number');
+                process.exit(1);
+            }
+
+            new PreviewServer(converter, { port }).start();
+            break;
+        }
+
         case 'convert':
             if (args.length < 2) {
                 console.error('❌ Error: convert command requires input file');
@@ -431,6 +3753,22 @@ Examples:
             converter.updateMetadata(postsDir);
             break;
 
+        case 'check': {
+            const checkPostsDir = args.slice(1).filter(arg => !arg.startsWith('--'))[0] || './posts';
+
+            if (!fs.existsSync(checkPostsDir)) {
+                console.error(`❌ Posts directory not found: ${checkPostsDir}`);
+                process.exit(1);
+            }
+
+            new LinkChecker(converter, { postsDir: checkPostsDir, external: args.includes('--external') }).check().then(result => {
+                if (result.problems.length > 0) {
+                    process.exit(1);
+                }
+            });
+            break;
+        }
+
         case 'help':
             console.log(`
 📖 Markdown to HTML Converter
@@ -439,15 +3777,27 @@ Usage:
   node blog-build.js <command> [options]
 
 Commands:
+  build [input-dir] [output-dir]      Incrementally build pages, metadata and search index
+        [--force]                     Rebuild every page
+  serve [--port 8000]                 Preview locally with rebuild on change and live reload
   convert <input.md> [output.html]    Convert single markdown file to HTML
   build-all [input-dir] [output-dir]  Convert all markdown files in directory
   update-metadata [posts-dir]         Update metadata.json with post information
+  check [posts-dir] [--external]      Check built pages for broken links, images and anchors
   help                                Show this help message
 
+Options:
+  --sanitize                          Strip unsafe tags and attributes from raw HTML in posts
+  --drafts                            Also build drafts and scheduled posts (preview only)
+
 Examples:
+  node blog-build.js build
+  node blog-build.js build --sanitize
+  node blog-build.js serve --drafts
   node blog-build.js convert posts/my-post.md
   node blog-build.js build-all posts
   node blog-build.js update-metadata posts
+  node blog-build.js check --external
             `);
             break;
 
@@ -459,3 +3809,8 @@ Examples:
 }
 
 module.exports = MarkdownConverter;
+module.exports.FrontMatterError = FrontMatterError;
+module.exports.PreviewServer = PreviewServer;
+module.exports.LinkChecker = LinkChecker;
+module.exports.escape = escape;
+module.exports.sanitizeHtml = sanitizeHtml;
@@ -0,0 +1,181 @@
+/**
+ * Tests for blog-build.js: hostile front matter and markdown must never turn
+ * into markup or script in generated pages, and the markdown extensions must
+ * leave ordinary markdown alone.
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarkdownConverter = require('./blog-build');
+const { sanitizeHtml } = MarkdownConverter;
+
+const converter = new MarkdownConverter();
+
+const HOSTILE_POST = `---
+title: 'Reflections | "Codes" & <Ledgers><script>alert(1)</script>'
+description: '"><img src=x onerror=alert(1)>'
+date: "2025-01-01"
+category: "blockchain"
+tags: ["<b>bold</b>", "\\"onmouseover=\\"alert(1)", "</script><script>alert(1)//"]
+cover: "javascript:alert(1)"
+coverAlt: '"><svg onload=alert(1)>'
+---
+
+Body text.`;
+
+/**
+ * on* attributes in HTML, ignoring quoted attribute values (where escaped
+ * hostile text may legitimately appear)
+ */
+function eventHandlers(html) {
+    return html.replace(/"[^"]*"|'[^']*'/g, '""').match(/<[a-z][^>]*\son[a-z]+\s*=[^>]*>/gi) || [];
+}
+
+/**
+ * Render a markdown body, with raw HTML sanitized or not
+ */
+function render(markdown, { sanitize = false } = {}) {
+    const previous = converter.options.sanitize;
+    converter.options.sanitize = sanitize;
+    try {
+        return converter.renderMarkdown(markdown);
+    } finally {
+        converter.options.sanitize = previous;
+    }
+}
+
+test('hostile front matter is escaped in every part of the post page', () => {
+    const { frontMatter, content } = converter.parseFrontMatter(HOSTILE_POST, 'hostile.md');
+    const page = converter.createHtmlDocument(frontMatter, render(content), { url: './posts/hostile.html' });
+
+    assert.ok(!page.includes('<Ledgers>'), 'raw title markup');
+    assert.ok(!page.includes('<script>alert(1)'), 'injected script');
+    assert.ok(!page.includes('<img src=x'), 'injected image');
+    assert.ok(!page.includes('<b>bold</b>'), 'raw tag markup');
+    assert.ok(!page.includes('<svg onload'), 'injected svg');
+    assert.deepEqual(eventHandlers(page), [], 'value breaks out of its attribute');
+    assert.ok(!/javascript:/i.test(page), 'javascript: cover URL');
+
+    assert.ok(page.includes('<title>Reflections | "Codes" &amp; &lt;Ledgers&gt;'));
+    assert.ok(page.includes('content="Reflections | &quot;Codes&quot; &amp; &lt;Ledgers&gt;'));
+});
+
+test('structured data keeps hostile values as inert JSON', () => {
+    const { frontMatter, content } = converter.parseFrontMatter(HOSTILE_POST, 'hostile.md');
+    const page = converter.createHtmlDocument(frontMatter, render(content), { url: './posts/hostile.html' });
+    const json = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(page);
+
+    assert.ok(json, 'JSON-LD block');
+    const data = JSON.parse(json[1]);
+    assert.equal(data.headline, frontMatter.title);
+    assert.equal(data.keywords, frontMatter.tags.join(', '));
+    assert.ok(!String(data.image).startsWith('javascript:'));
+});
+
+test('image alt text and captions are escaped', () => {
+    const html = render('![a" onerror="alert(1)](photo.png "<script>alert(1)</script>")');
+
+    assert.ok(!html.includes('" onerror='), 'alt breaks out of its attribute');
+    assert.ok(!html.includes('<script>'), 'caption markup');
+    assert.ok(html.includes('alt="a&quot; onerror=&quot;alert(1)"'));
+    assert.ok(html.includes('<figcaption>&lt;script&gt;alert(1)&lt;/script&gt;</figcaption>'));
+});
+
+test('javascript: links and images become inert', () => {
+    const html = render([
+        '[plain](javascript:alert(1))',
+        '[upper](JavaScript:alert(1))',
+        '[entity](&#106;avascript:alert(1))',
+        '![image](javascript:alert(1))',
+        '<javascript:alert(1)>'
+    ].join('\n\n'));
+
+    assert.ok(!/(href|src)="\s*javascript:/i.test(html), html);
+    assert.ok(html.includes('<a href="#">plain</a>'));
+    assert.ok(html.includes('<img src="#" alt="image"'));
+});
+
+test('safe links are kept', () => {
+    const html = render('[site](https://example.com/?a=1&b=2) [mail](mailto:me@example.com) [page](../index.html#top)');
+
+    assert.ok(html.includes('href="https://example.com/?a=1&amp;b=2"'));
+    assert.ok(html.includes('href="mailto:me@example.com"'));
+    assert.ok(html.includes('href="../index.html#top"'));
+});
+
+test('--sanitize removes event handlers, script URLs and script tags from raw HTML', () => {
+    const markdown = [
+        '<div onclick="alert(1)" class="note"><a href="javascript:alert(1)" onmouseover="alert(1)">link</a></div>',
+        '<img src="photo.png" ONERROR="alert(1)" alt="photo">',
+        '<a href=" jav&#x09;ascript:alert(1)">spaced</a>',
+        '<script>alert(1)</script>',
+        '<iframe src="https://example.com"></iframe>'
+    ].join('\n\n');
+
+    const sanitized = render(markdown, { sanitize: true });
+    assert.deepEqual(eventHandlers(sanitized), [], sanitized);
+    assert.ok(!/javascript:/i.test(sanitized), sanitized);
+    assert.ok(!/<script|<iframe/i.test(sanitized), sanitized);
+    assert.ok(sanitized.includes('class="note"'));
+    assert.ok(sanitized.includes('alt="photo"'));
+
+    // Without --sanitize, raw HTML is trusted as written
+    assert.ok(render(markdown).includes('onclick="alert(1)"'));
+});
+
+test('sanitizeHtml drops unquoted and oddly cased handlers', () => {
+    const html = sanitizeHtml('<p OnMouseOver=alert(1) title="ok">text</p><a href=JAVASCRIPT:alert(1)>x</a>');
+
+    assert.ok(!/onmouseover/i.test(html), html);
+    assert.ok(!/javascript:/i.test(html), html);
+    assert.ok(html.includes('title="ok"'));
+});
+
+test('definition lists are rendered from plain term lines', () => {
+    const html = render('Term\nOther term\n: First definition\n: Second definition');
+
+    assert.ok(html.includes('<dl class="definition-list">'), html);
+    assert.ok(html.includes('<dt>Term</dt>'), html);
+    assert.ok(html.includes('<dt>Other term</dt>'), html);
+    assert.ok(html.includes('<dd>Second definition</dd>'), html);
+});
+
+test('other blocks followed by a colon line are not definition lists', () => {
+    const cases = {
+        fence: '```yaml\nkey\n: value\n```',
+        tildeFence: '~~~\nkey\n: value\n~~~',
+        list: '- a\n- b\n: c',
+        orderedList: '1. a\n2. b\n: c',
+        heading: '## Heading\n: c',
+        blockquote: '> quote\n: c',
+        table: '| a | b |\n| - | - |\n| 1 | 2 |\n: c',
+        html: '<div>\nblock\n</div>\n: c'
+    };
+
+    for (const [name, markdown] of Object.entries(cases)) {
+        const html = render(markdown);
+        assert.ok(!html.includes('<dl'), `${name}: ${html}`);
+    }
+
+    const fence = render(cases.fence);
+    assert.equal(fence.match(/<pre/g).length, 1, fence);
+    assert.ok(fence.trim().endsWith('</figure>'), fence);
+
+    // A lazy ":" line inside a quote stays part of the quoted paragraph
+    assert.ok(render(cases.blockquote).includes('<p>quote\n: c</p>'));
+    assert.ok(render('> Term\n> : Definition').includes('<dl class="definition-list">'));
+});
+
+test('footnote references are left out of heading ids and the table of contents', () => {
+    const markdown = '## Heading[^a]\n\nText.\n\n## Second\n\n## Third[^b]\n\n[^a]: Note.\n[^b]: Other note.';
+    const html = render(markdown);
+
+    assert.ok(html.includes('<h2 id="heading">'), html);
+    assert.ok(html.includes('<h2 id="third">'), html);
+
+    const toc = converter.createToc({}, html);
+    assert.deepEqual(toc.entries.map(entry => entry.text), ['Heading', 'Second', 'Third']);
+    assert.deepEqual(converter.extractSearchText(markdown).map(section => section.id).filter(Boolean), ['heading', 'second', 'third']);
+});
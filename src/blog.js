@@ -5,16 +5,11 @@
 class BlogSystem {
     constructor() {
         this.posts = [];
-        this.categories = {
-            'blockchain': 'Blockchain',
-            'cryptography': 'Cryptography',
-            'fragments': 'Fragments',
-            'mathematics': 'Mathematics'
-        };
+        this.categories = [];
     }
 
     /**
-     * Load posts from metadata.json
+     * Load posts and categories from metadata.json
      */
     async loadPosts() {
         try {
@@ -28,6 +23,7 @@ class BlogSystem {
             
             // Validate and process posts
             this.posts = this.posts.map(post => this.validatePost(post)).filter(Boolean);
+            this.categories = this.loadCategories(data.categories || []);
             
             return this.posts;
         } catch (error) {
@@ -39,6 +35,30 @@ class BlogSystem {
         }
     }
 
+    /**
+     * Normalize categories from metadata.json (slug, name, description,
+     * color, in display order), adding any category a post uses that is
+     * missing so its posts are still listed and counted
+     */
+    loadCategories(categories) {
+        const loaded = categories
+            .filter(category => category && category.slug)
+            .map(category => ({
+                slug: category.slug,
+                name: category.name || category.slug,
+                description: category.description || '',
+                color: category.color || ''
+            }));
+
+        this.posts.forEach(post => {
+            if (!loaded.some(category => category.slug === post.category)) {
+                loaded.push({ slug: post.category, name: post.category, description: '', color: '' });
+            }
+        });
+
+        return loaded;
+    }
+
     /**
      * Validate and normalize post data
      */
@@ -56,12 +76,14 @@ class BlogSystem {
             excerpt: post.excerpt || '',
             tags: post.tags || [],
             author: post.author || 'Prashish Phunyal',
-            readTime: post.readTime || this.estimateReadTime(post.excerpt || '')
+            readTime: post.readTime || this.estimateReadTime(post.excerpt || ''),
+            wordCount: post.wordCount || null
         };
     }
 
     /**
-     * Estimate reading time based on content length
+     * Estimate reading time based on content length. Only used for posts
+     * whose metadata predates the build computing readTime.
      */
     estimateReadTime(content) {
         const wordsPerMinute = 200;
@@ -77,53 +99,130 @@ class BlogSystem {
         return this.posts.filter(post => post.category === categorySlug);
     }
 
+    /**
+     * Get posts with a tag, matched by slug so "Proof of Work" and
+     * "proof-of-work" are the same tag
+     */
+    getPostsByTag(tagSlug) {
+        return this.posts.filter(post => post.tags.some(tag => textAnalysis.tagSlug(tag) === tagSlug));
+    }
+
+    /**
+     * Get every tag with its display name and post count, sorted by name.
+     * A tag is shown with the spelling used by its newest post.
+     */
+    getTagsWithCounts() {
+        const tags = new Map();
+
+        [...this.posts]
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .forEach(post => {
+                new Set(post.tags.map(tag => textAnalysis.tagSlug(tag))).forEach(slug => {
+                    if (!tags.has(slug)) {
+                        const name = post.tags.find(tag => textAnalysis.tagSlug(tag) === slug);
+                        tags.set(slug, { slug, name, count: 0 });
+                    }
+                    tags.get(slug).count++;
+                });
+            });
+
+        return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a tag's display name from its slug
+     */
+    getTagName(tagSlug) {
+        const tag = this.getTagsWithCounts().find(tag => tag.slug === tagSlug);
+        return tag ? tag.name : tagSlug;
+    }
+
+    /**
+     * Get a category by slug
+     */
+    getCategory(categorySlug) {
+        return this.categories.find(category => category.slug === categorySlug);
+    }
+
     /**
      * Get category display name
      */
     getCategoryName(categorySlug) {
-        return this.categories[categorySlug] || categorySlug;
+        const category = this.getCategory(categorySlug);
+        return category ? category.name : categorySlug;
     }
 
     /**
-     * Get all categories with post counts
+     * Get all categories, in display order, with post counts
      */
     getCategoriesWithCounts() {
-        const counts = {};
-        
-        // Initialize counts
-        Object.keys(this.categories).forEach(slug => {
-            counts[slug] = {
-                name: this.categories[slug],
-                count: 0
-            };
-        });
+        return this.categories.map(category => ({
+            ...category,
+            count: this.posts.filter(post => post.category === category.slug).length
+        }));
+    }
 
-        // Count posts in each category
-        this.posts.forEach(post => {
-            if (counts[post.category]) {
-                counts[post.category].count++;
-            }
-        });
+    /**
+     * Render the category links with post counts
+     */
+    renderCategoryList(container) {
+        if (!container) return;
 
-        return counts;
+        container.innerHTML = this.getCategoriesWithCounts().map(category => `
+            <a href="#category/${encodeURIComponent(category.slug)}" class="category-link" data-category="${utils.escapeHtml(category.slug)}"${this.categoryStyle(category.slug)}${category.description ? ` title="${utils.escapeHtml(category.description)}"` : ''}>
+                ${utils.escapeHtml(category.name)}
+                <span class="category-count">${category.count}</span>
+            </a>
+        `).join('');
+    }
+
+    /**
+     * Inline style attribute giving an element its category's color, if any
+     */
+    categoryStyle(categorySlug) {
+        const category = this.getCategory(categorySlug);
+        return category && category.color ? ` style="--category-color: ${utils.escapeHtml(category.color)}"` : '';
     }
 
     /**
-     * Search posts
+     * Search posts by title, excerpt, tags and category. Supports the
+     * SearchQuery syntax: every term must match, plus phrases, exclusions
+     * and tag/category/date filters.
      */
     searchPosts(query) {
         if (!query || query.trim().length < 2) {
             return this.posts;
         }
 
-        const searchTerm = query.toLowerCase().trim();
+        const searchQuery = SearchQuery.parse(query);
+        if (searchQuery.isEmpty()) {
+            return this.posts;
+        }
         
         return this.posts.filter(post => {
+            const categoryName = this.getCategoryName(post.category);
+            const text = [
+                post.title,
+                post.excerpt,
+                ...(post.tags || []),
+                categoryName
+            ].join(' ').toLowerCase();
+            const words = textAnalysis.words(text);
+            const contains = value => text.includes(value.toLowerCase());
+
+            // Tolerate a typo or two in single words ("cyptography")
+            const resembles = value => {
+                const maxTypos = textAnalysis.maxTypos(value.length);
+                return maxTypos > 0 && !/\s/.test(value) && words.some(word =>
+                    textAnalysis.editDistance(word, value.toLowerCase(), maxTypos) <= maxTypos
+                );
+            };
+
             return (
-                (post.title || '').toLowerCase().includes(searchTerm) ||
-                (post.excerpt || '').toLowerCase().includes(searchTerm) ||
-                (post.tags || []).some(tag => tag.toLowerCase().includes(searchTerm)) ||
-                this.getCategoryName(post.category).toLowerCase().includes(searchTerm)
+                searchQuery.matchesFilters(post, categoryName) &&
+                searchQuery.terms.every(term => contains(term) || resembles(term)) &&
+                searchQuery.phrases.every(contains) &&
+                ![...searchQuery.excludedTerms, ...searchQuery.excludedPhrases].some(contains)
             );
         });
     }
@@ -139,9 +238,11 @@ class BlogSystem {
 
 
     /**
-     * Render post list HTML
+     * Render post list HTML. When searchMatches (a Map of post url to
+     * highlighted title and snippet) is given, matching passages replace
+     * the static excerpt.
      */
-    renderPostList(posts, container) {
+    renderPostList(posts, container, searchMatches = null) {
         if (!container) return;
 
         if (posts.length === 0) {
@@ -149,29 +250,43 @@ class BlogSystem {
             return;
         }
 
-        container.innerHTML = posts.map(post => `
+        container.innerHTML = posts.map(post => {
+            const match = searchMatches?.get(post.url);
+            const snippet = match?.snippet;
+
+            return `
             <li class="post-item">
                 <article class="post-card">
                     <div class="post-meta">
-                        <time class="post-date" datetime="${post.date}">
+                        <time class="post-date" datetime="${utils.escapeHtml(post.date)}">
                             ${utils.formatDate(post.date)}
                         </time>
-                        <span class="post-category-tag" data-category="${post.category}">
-                            ${this.getCategoryName(post.category)}
+                        <span class="post-category-tag" data-category="${utils.escapeHtml(post.category)}"${this.categoryStyle(post.category)}>
+                            ${utils.escapeHtml(this.getCategoryName(post.category))}
                         </span>
                     </div>
                     <h3 class="post-title">
-                        <a href="${post.url}" class="post-link">${utils.escapeHtml(post.title)}</a>
+                        <a href="${utils.escapeHtml(post.url)}" class="post-link">${match ? match.title : utils.escapeHtml(post.title)}</a>
                     </h3>
                     <div class="post-excerpt">
-                        ${utils.escapeHtml(post.excerpt || 'Click to read more...')}
+                        ${snippet ? snippet.html : utils.escapeHtml(post.excerpt || 'Click to read more...')}
                     </div>
+                    ${snippet?.anchor ? `
+                    <a href="${utils.escapeHtml(`${post.url}#${snippet.anchor}`)}" class="search-match-link">
+                        Found in “${utils.escapeHtml(snippet.heading)}” →
+                    </a>` : ''}
+                    ${post.tags.length > 0 ? `
+                    <div class="post-tags">
+                        ${post.tags.map(tag => `<a href="#tag/${encodeURIComponent(textAnalysis.tagSlug(tag))}" class="tag">${utils.escapeHtml(tag)}</a>`).join('')}
+                    </div>` : ''}
                     <div class="post-footer">
-                        <span class="read-time">${post.readTime}</span>
+                        <span class="read-time">${utils.escapeHtml(post.readTime)}</span>
+                        ${post.wordCount ? `<span class="word-count">${post.wordCount.toLocaleString('en-US')} words</span>` : ''}
                     </div>
                 </article>
             </li>
-        `).join('');
+        `;
+        }).join('');
     }
 }
 
@@ -1,5 +1,9 @@
 /**
- * Category Router - Handles routing for category pages
+ * Category Router - Handles routing for category and tag pages
+ *
+ *   #category/<slug>   posts in a category
+ *   #tag/<slug>        posts with a tag
+ *   #tags              every tag with its post count
  */
 
 class CategoryRouter {
@@ -15,6 +19,7 @@ class CategoryRouter {
     async init() {
         // Load posts first
         await this.blogSystem.loadPosts();
+        this.blogSystem.renderCategoryList(document.getElementById('categories-nav'));
         
         // Set up routing
         this.bindEvents();
@@ -51,7 +56,7 @@ class CategoryRouter {
      */
     handleInitialRoute() {
         const hash = window.location.hash;
-        if (hash && hash.startsWith('#category/')) {
+        if (hash && (hash.startsWith('#category/') || hash.startsWith('#tag/') || hash === '#tags')) {
             this.handleRouteChange();
         }
     }
@@ -73,6 +78,17 @@ class CategoryRouter {
             return;
         }
 
+        if (hash.startsWith('#tag/')) {
+            const tag = decodeURIComponent(hash.replace('#tag/', ''));
+            this.showTagPage(textAnalysis.tagSlug(tag));
+            return;
+        }
+
+        if (hash === '#tags') {
+            this.showTagIndex();
+            return;
+        }
+
         // Unknown route, redirect to home
         this.showHomePage();
     }
@@ -90,6 +106,7 @@ class CategoryRouter {
     showCategoryPage(categorySlug) {
         this.currentRoute = `category/${categorySlug}`;
         
+        const category = this.blogSystem.getCategory(categorySlug);
         const categoryName = this.blogSystem.getCategoryName(categorySlug);
         const posts = this.blogSystem.getPostsByCategory(categorySlug);
         
@@ -100,12 +117,41 @@ class CategoryRouter {
         this.hideHomeElements();
         
         // Show category page content
-        this.renderCategoryPage(categorySlug, categoryName, posts);
+        this.renderCategoryPage(categorySlug, categoryName, posts, category ? category.description : '');
         
         // Update active category
         this.updateActiveCategoryLink(categorySlug);
     }
 
+    /**
+     * Show tag page
+     */
+    showTagPage(tagSlug) {
+        this.currentRoute = `tag/${tagSlug}`;
+
+        const tagName = this.blogSystem.getTagName(tagSlug);
+        const posts = this.blogSystem.getPostsByTag(tagSlug);
+
+        document.title = `${tagName} | Blog | Prashish Phunyal`;
+
+        this.hideHomeElements();
+        this.renderTagPage(tagName, posts);
+        this.updateActiveCategoryLink(null);
+    }
+
+    /**
+     * Show the tag index
+     */
+    showTagIndex() {
+        this.currentRoute = 'tags';
+
+        document.title = 'Tags | Blog | Prashish Phunyal';
+
+        this.hideHomeElements();
+        this.renderTagIndex(this.blogSystem.getTagsWithCounts());
+        this.updateActiveCategoryLink(null);
+    }
+
     /**
      * Show home page
      */
@@ -128,7 +174,7 @@ class CategoryRouter {
     /**
      * Render category page
      */
-    renderCategoryPage(categorySlug, categoryName, posts) {
+    renderCategoryPage(categorySlug, categoryName, posts, description = '') {
         const main = document.querySelector('.main');
         if (!main) return;
 
@@ -146,8 +192,9 @@ class CategoryRouter {
                         ← Back to Home
                     </button>
                     <h1 class="category-title">
-                        ${categoryName}
+                        ${utils.escapeHtml(categoryName)}
                     </h1>
+                    ${description ? `<p class="category-description">${utils.escapeHtml(description)}</p>` : ''}
                 </div>
                 
                 <section class="category-posts">
@@ -170,6 +217,81 @@ class CategoryRouter {
         }
     }
 
+    /**
+     * Render tag page
+     */
+    renderTagPage(tagName, posts) {
+        const main = document.querySelector('.main');
+        if (!main) return;
+
+        const existingCategoryPage = document.querySelector('.category-page');
+        if (existingCategoryPage) {
+            existingCategoryPage.remove();
+        }
+
+        const tagPageHTML = `
+            <div class="category-page tag-page">
+                <div class="category-header">
+                    <button class="back-button" onclick="window.location.hash = 'tags'">
+                        ← All Tags
+                    </button>
+                    <h1 class="category-title">
+                        ${utils.escapeHtml(tagName)}
+                    </h1>
+                    <p class="tag-page-count">${posts.length} ${posts.length === 1 ? 'post' : 'posts'}</p>
+                </div>
+                
+                <section class="category-posts">
+                    <div class="posts-container">
+                        <ul class="post-list" id="tag-posts">
+                            ${posts.length > 0 ? '' : '<li class="no-posts"><p>No posts with this tag.</p></li>'}
+                        </ul>
+                    </div>
+                </section>
+            </div>
+        `;
+
+        main.insertAdjacentHTML('beforeend', tagPageHTML);
+
+        if (posts.length > 0) {
+            const postsList = document.getElementById('tag-posts');
+            this.blogSystem.renderPostList(posts, postsList);
+        }
+    }
+
+    /**
+     * Render the tag index as a tag cloud with post counts
+     */
+    renderTagIndex(tags) {
+        const main = document.querySelector('.main');
+        if (!main) return;
+
+        const existingCategoryPage = document.querySelector('.category-page');
+        if (existingCategoryPage) {
+            existingCategoryPage.remove();
+        }
+
+        const tagIndexHTML = `
+            <div class="category-page tag-index">
+                <div class="category-header">
+                    <button class="back-button" onclick="window.location.hash = ''">
+                        ← Back to Home
+                    </button>
+                    <h1 class="category-title">Tags</h1>
+                </div>
+
+                <nav class="tag-cloud" aria-label="All tags">
+                    ${tags.length > 0 ? tags.map(tag => `
+                    <a href="#tag/${encodeURIComponent(tag.slug)}" class="tag">
+                        ${utils.escapeHtml(tag.name)} <span class="tag-count">${tag.count}</span>
+                    </a>`).join('') : '<p class="no-posts">No tags yet.</p>'}
+                </nav>
+            </div>
+        `;
+
+        main.insertAdjacentHTML('beforeend', tagIndexHTML);
+    }
+
     /**
      * Render home page
      */
@@ -182,7 +304,7 @@ class CategoryRouter {
     }
 
     /**
-     * Hide home page elements for category view
+     * Hide home page elements for category and tag views
      */
     hideHomeElements() {
         const searchContainer = document.querySelector('.search-container');
@@ -0,0 +1,159 @@
+/**
+ * Search Query - Parses the small query language used by blog search
+ *
+ *   bitcoin mining          posts matching every term
+ *   "double spending"       exact phrase
+ *   -ethereum, -"a phrase"  exclude posts matching a term or phrase
+ *   tag:ecdsa               posts tagged ecdsa (quote tags with spaces)
+ *   category:cryptography   posts in a category (slug or display name)
+ *   after:2025-01-01        posts dated after a day, month (2025-01) or year
+ *   before:2025-06          posts dated before a day, month or year
+ *
+ * Filters can be negated too (-tag:draft, -after:2024).
+ */
+
+// Tags are matched by the slug the build gives them (text-analysis.js is
+// loaded before this file in the browser)
+const tagAnalysis = typeof module !== 'undefined' && module.exports ? require('./text-analysis') : window.textAnalysis;
+
+class SearchQuery {
+    constructor() {
+        this.terms = [];
+        this.phrases = [];
+        this.excludedTerms = [];
+        this.excludedPhrases = [];
+        this.tags = [];
+        this.excludedTags = [];
+        this.categories = [];
+        this.excludedCategories = [];
+        this.after = null;
+        this.before = null;
+        this.notAfter = null;
+        this.notBefore = null;
+    }
+
+    /**
+     * Parse a raw query string
+     */
+    static parse(input) {
+        const query = new SearchQuery();
+        const clausePattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = clausePattern.exec(String(input || '')))) {
+            const negated = match[1] === '-';
+            const operator = (match[2] || '').toLowerCase();
+            const isQuoted = match[3] !== undefined;
+            const value = (isQuoted ? match[3] : match[4] || '').trim();
+
+            if (!value) continue;
+
+            switch (operator) {
+                case 'tag':
+                    (negated ? query.excludedTags : query.tags).push(SearchQuery.normalizeTag(value));
+                    break;
+                case 'category':
+                    (negated ? query.excludedCategories : query.categories).push(value.toLowerCase());
+                    break;
+                case 'after':
+                case 'before':
+                    // -after:2024 keeps posts up to the end of 2024
+                    if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+                        query[negated ? (operator === 'after' ? 'notAfter' : 'notBefore') : operator] = value;
+                    }
+                    break;
+                default: {
+                    // Unknown operators (e.g. "note:") are ordinary text
+                    const text = match[2] ? `${match[2]}:${value}` : value;
+                    if (!/[\p{L}\p{N}]/u.test(text)) {
+                        break;
+                    }
+
+                    if (isQuoted) {
+                        (negated ? query.excludedPhrases : query.phrases).push(text);
+                    } else {
+                        (negated ? query.excludedTerms : query.terms).push(text);
+                    }
+                }
+            }
+        }
+
+        return query;
+    }
+
+    /**
+     * Normalize a tag to its slug, as used for tag pages and the search
+     * index, so "Proof of Work", "proof-of-work" and "proof_of_work" match
+     */
+    static normalizeTag(tag) {
+        return tagAnalysis.tagSlug(tag);
+    }
+
+    /**
+     * Whether the query contains any free text (as opposed to only filters)
+     */
+    hasText() {
+        return this.terms.length > 0 || this.phrases.length > 0;
+    }
+
+    /**
+     * Whether the query contains nothing to search for
+     */
+    isEmpty() {
+        return this.toString() === '';
+    }
+
+    /**
+     * Text whose words should be highlighted in results
+     */
+    highlightText() {
+        return [...this.terms, ...this.phrases].join(' ');
+    }
+
+    /**
+     * Check the tag, category and date filters against a post
+     */
+    matchesFilters(post, categoryName = '') {
+        const postTags = (post.tags || []).map(tag => SearchQuery.normalizeTag(tag));
+        const postCategories = [post.category, categoryName].map(name => String(name || '').toLowerCase());
+        const date = String(post.date || '');
+
+        return this.tags.every(tag => postTags.includes(tag)) &&
+            !this.excludedTags.some(tag => postTags.includes(tag)) &&
+            this.categories.every(category => postCategories.includes(category)) &&
+            !this.excludedCategories.some(category => postCategories.includes(category)) &&
+            (!this.after || date.slice(0, this.after.length) > this.after) &&
+            (!this.before || date.slice(0, this.before.length) < this.before) &&
+            (!this.notAfter || date.slice(0, this.notAfter.length) <= this.notAfter) &&
+            (!this.notBefore || date.slice(0, this.notBefore.length) >= this.notBefore);
+    }
+
+    /**
+     * Serialize back to a normalized query string, used for the ?search= URL param
+     */
+    toString() {
+        const quote = value => /\s/.test(value) ? `"${value}"` : value;
+
+        return [
+            ...this.terms,
+            ...this.phrases.map(phrase => `"${phrase}"`),
+            ...this.tags.map(tag => `tag:${tag}`),
+            ...this.categories.map(category => `category:${quote(category)}`),
+            ...(this.after ? [`after:${this.after}`] : []),
+            ...(this.before ? [`before:${this.before}`] : []),
+            ...this.excludedTerms.map(term => `-${term}`),
+            ...this.excludedPhrases.map(phrase => `-"${phrase}"`),
+            ...this.excludedTags.map(tag => `-tag:${tag}`),
+            ...this.excludedCategories.map(category => `-category:${quote(category)}`),
+            ...(this.notAfter ? [`-after:${this.notAfter}`] : []),
+            ...(this.notBefore ? [`-before:${this.notBefore}`] : [])
+        ].join(' ');
+    }
+}
+
+// Export for tests (Node) and for global use (browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+} else {
+    window.SearchQuery = SearchQuery;
+}
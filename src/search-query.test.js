@@ -0,0 +1,31 @@
+/**
+ * Tests for the search query language in search-query.js
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchQuery = require('./search-query');
+const textAnalysis = require('./text-analysis');
+
+test('tag filters match the slugs the build gives tags', () => {
+    const post = { tags: ['Node.js', 'Proof of Work'], category: 'tech', date: '2025-01-01' };
+
+    for (const tag of ['node.js', 'Node.js', 'proof-of-work', '"proof of work"', 'proof_of_work']) {
+        assert.ok(SearchQuery.parse(`tag:${tag}`).matchesFilters(post), tag);
+    }
+    assert.ok(!SearchQuery.parse('-tag:node.js').matchesFilters(post));
+    assert.deepEqual(SearchQuery.parse('tag:Node.js').tags, [textAnalysis.tagSlug('Node.js')]);
+});
+
+test('negated date filters keep the posts outside the bound', () => {
+    const dates = ['2023-12-31', '2024-03-01', '2024-12-31', '2025-01-01'];
+    const matching = query => dates.filter(date => SearchQuery.parse(query).matchesFilters({ date }));
+
+    assert.deepEqual(matching('after:2024'), ['2025-01-01']);
+    assert.deepEqual(matching('-after:2024'), ['2023-12-31', '2024-03-01', '2024-12-31']);
+    assert.deepEqual(matching('before:2024-03'), ['2023-12-31']);
+    assert.deepEqual(matching('-before:2024-03'), ['2024-03-01', '2024-12-31', '2025-01-01']);
+    assert.equal(SearchQuery.parse('-after:2024 -before:2023').toString(), '-after:2024 -before:2023');
+});
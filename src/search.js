@@ -9,6 +9,13 @@ class SearchSystem {
         this.blogSystem = null;
         this.searchResults = [];
         this.isSearching = false;
+        this.searchIndex = null;
+        this.searchIndexReady = null;
+        this.documentWords = new WeakMap();
+        this.termExpansions = new Map();
+        this.suggestionsList = document.getElementById('search-autocomplete');
+        this.suggestions = [];
+        this.activeSuggestion = -1;
     }
 
     /**
@@ -17,12 +24,33 @@ class SearchSystem {
     init(posts, blogSystem) {
         this.posts = posts || [];
         this.blogSystem = blogSystem || new BlogSystem();
+        this.searchIndexReady = this.loadSearchIndex();
         
         if (this.searchInput) {
             this.bindEvents();
         }
     }
 
+    /**
+     * Load the full-text search index generated by blog-build.js
+     */
+    async loadSearchIndex() {
+        try {
+            const response = await fetch('./posts/search-index.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.searchIndex = await response.json();
+        } catch (error) {
+            // Fall back to searching metadata only
+            console.warn('Search index unavailable:', error);
+            this.searchIndex = null;
+        }
+
+        return this.searchIndex;
+    }
+
     /**
      * Bind search events
      */
@@ -34,17 +62,59 @@ class SearchSystem {
 
         this.searchInput.addEventListener('input', (e) => {
             const query = e.target.value.trim();
+            this.showSuggestions(this.getSearchSuggestions(e.target.value));
             debouncedSearch(query);
         });
 
-        // Handle search on enter key
+        // Keyboard navigation of the autocomplete list, search on enter key
         this.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.performSearch(this.searchInput.value.trim());
+            const isOpen = this.suggestions.length > 0;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (!isOpen) {
+                        this.showSuggestions(this.getSearchSuggestions(this.searchInput.value));
+                    }
+                    if (this.suggestions.length > 0) {
+                        e.preventDefault();
+                        this.moveActiveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                    }
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    if (isOpen && this.activeSuggestion >= 0) {
+                        this.applySuggestion(this.suggestions[this.activeSuggestion]);
+                    } else {
+                        this.hideSuggestions();
+                        this.performSearch(this.searchInput.value.trim());
+                    }
+                    break;
+                case 'Escape':
+                    if (isOpen) {
+                        e.preventDefault();
+                        this.hideSuggestions();
+                    }
+                    break;
+                case 'Tab':
+                    this.hideSuggestions();
+                    break;
             }
         });
 
+        this.searchInput.addEventListener('blur', () => this.hideSuggestions());
+
+        if (this.suggestionsList) {
+            // mousedown rather than click so the input does not blur first
+            this.suggestionsList.addEventListener('mousedown', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (option) {
+                    e.preventDefault();
+                    this.applySuggestion(this.suggestions[Number(option.dataset.index)]);
+                }
+            });
+        }
+
         // Clear search when input is cleared
         this.searchInput.addEventListener('change', (e) => {
             if (e.target.value === '') {
@@ -66,14 +136,16 @@ class SearchSystem {
         this.updateSearchState();
 
         try {
-            // Perform the search
-            this.searchResults = this.blogSystem.searchPosts(query);
+            // Perform the search, preferring the full-text index when loaded
+            this.searchResults = this.searchIndex
+                ? this.searchIndexedPosts(query)
+                : this.blogSystem.searchPosts(query);
             
             // Update UI with results
             this.displaySearchResults(query);
             
-            // Update URL to reflect search
-            this.updateSearchURL(query);
+            // Update URL to reflect the parsed search
+            this.updateSearchURL(SearchQuery.parse(query).toString());
         } catch (error) {
             console.error('Search error:', error);
             this.isSearching = false;
@@ -91,6 +163,227 @@ class SearchSystem {
         }
     }
 
+    /**
+     * Rank posts against the full-text search index. Every term and phrase
+     * must match (AND), excluded terms and phrases must not, and tag,
+     * category and date filters narrow the candidates.
+     */
+    searchIndexedPosts(query) {
+        const searchQuery = SearchQuery.parse(query);
+        const { documents } = this.searchIndex;
+        const postsByUrl = new Map(this.posts.map(post => [post.url, post]));
+
+        // Start from every post that passes the filters
+        const totals = new Map();
+        documents.forEach((documentEntry, documentIndex) => {
+            const post = postsByUrl.get(documentEntry.url);
+            if (post && searchQuery.matchesFilters(post, this.blogSystem.getCategoryName(post.category))) {
+                totals.set(documentIndex, 0);
+            }
+        });
+
+        // Required terms: drop documents missing one, accumulate scores for the rest
+        [...searchQuery.terms, ...searchQuery.phrases]
+            .flatMap(text => textAnalysis.tokenize(text))
+            .forEach(queryTerm => {
+                const scores = this.scoreTerm(queryTerm);
+                Array.from(totals.keys()).forEach(documentIndex => {
+                    if (scores.has(documentIndex)) {
+                        totals.set(documentIndex, totals.get(documentIndex) + scores.get(documentIndex));
+                    } else {
+                        totals.delete(documentIndex);
+                    }
+                });
+            });
+
+        // Phrases must appear verbatim, and so must terms made only of stop
+        // words, which the index leaves out
+        const literalTerms = searchQuery.terms.filter(term => textAnalysis.tokenize(term).length === 0);
+        [...searchQuery.phrases, ...literalTerms].forEach(phrase => {
+            Array.from(totals.keys()).forEach(documentIndex => {
+                if (!this.documentContainsPhrase(documents[documentIndex], phrase)) {
+                    totals.delete(documentIndex);
+                }
+            });
+        });
+
+        // Exclusions: single words by stem, anything longer as a phrase
+        [...searchQuery.excludedTerms, ...searchQuery.excludedPhrases].forEach(text => {
+            const stems = textAnalysis.tokenize(text);
+            const isSingleWord = textAnalysis.words(text).length === 1 && stems.length === 1;
+            const excluded = isSingleWord ? this.scoreTerm(stems[0], false) : null;
+
+            Array.from(totals.keys()).forEach(documentIndex => {
+                const matches = excluded
+                    ? excluded.has(documentIndex)
+                    : this.documentContainsPhrase(documents[documentIndex], text);
+                if (matches) {
+                    totals.delete(documentIndex);
+                }
+            });
+        });
+
+        const results = Array.from(totals.entries())
+            .map(([documentIndex, score]) => ({ post: postsByUrl.get(documents[documentIndex].url), score }));
+
+        // Filter-only queries have nothing to rank by, so list newest first
+        if (!searchQuery.hasText()) {
+            results.sort((a, b) => new Date(b.post.date) - new Date(a.post.date));
+        } else {
+            results.sort((a, b) => b.score - a.score);
+        }
+
+        return results.map(result => result.post);
+    }
+
+    /**
+     * Score documents containing a query term, keyed by document index
+     */
+    scoreTerm(queryTerm, allowPrefix = true) {
+        const { documents, terms } = this.searchIndex;
+        const scores = new Map();
+
+        const expansions = allowPrefix
+            ? this.expandQueryTerm(queryTerm)
+            : new Map(Object.prototype.hasOwnProperty.call(terms, queryTerm) ? [[queryTerm, 1]] : []);
+
+        expansions.forEach((weight, term) => {
+            const postings = terms[term];
+            const idf = Math.log(1 + documents.length / postings.length);
+
+            postings.forEach(([documentIndex, score]) => {
+                const total = scores.get(documentIndex) || 0;
+                scores.set(documentIndex, total + score * idf * weight);
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Resolve a query term to the index terms it matches, with a weight for
+     * each: the exact stem scores fully and words it prefixes (still being
+     * typed) at half weight. When the index has neither, terms within a
+     * couple of typos are used instead, so "cyptography" still finds posts.
+     */
+    expandQueryTerm(queryTerm) {
+        if (!this.searchIndex) return new Map();
+        if (this.termExpansions.has(queryTerm)) return this.termExpansions.get(queryTerm);
+
+        const indexTerms = Object.keys(this.searchIndex.terms);
+        const expansions = new Map();
+
+        indexTerms.filter(term => this.termMatches(term, queryTerm)).forEach(term => {
+            expansions.set(term, term === queryTerm ? 1 : 0.5);
+        });
+
+        if (expansions.size === 0) {
+            const maxTypos = textAnalysis.maxTypos(queryTerm.length);
+            indexTerms.forEach(term => {
+                const distance = textAnalysis.editDistance(term, queryTerm, maxTypos);
+                if (distance <= maxTypos) {
+                    expansions.set(term, 0.5 / (distance + 1));
+                }
+            });
+        }
+
+        this.termExpansions.set(queryTerm, expansions);
+        return expansions;
+    }
+
+    /**
+     * Check whether a document contains a phrase as consecutive whole words
+     */
+    documentContainsPhrase(documentEntry, phrase) {
+        const words = textAnalysis.words(phrase);
+        if (words.length === 0) return true;
+
+        if (!this.documentWords.has(documentEntry)) {
+            const text = [documentEntry.title, ...(documentEntry.sections || [])
+                .map(section => `${section.heading} ${section.text}`)].join(' ');
+            this.documentWords.set(documentEntry, ` ${textAnalysis.words(text).join(' ')} `);
+        }
+
+        return this.documentWords.get(documentEntry).includes(` ${words.join(' ')} `);
+    }
+
+    /**
+     * Check whether an index term satisfies a query term, either exactly or
+     * as a prefix of a word the reader is still typing
+     */
+    termMatches(term, queryTerm) {
+        return term === queryTerm || (queryTerm.length >= 3 && term.startsWith(queryTerm));
+    }
+
+    /**
+     * Find the character ranges of words in text that match the query terms
+     */
+    findTermMatches(text, queryTerms) {
+        const matches = [];
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+
+        while ((match = wordPattern.exec(text || ''))) {
+            const [term] = textAnalysis.tokenize(match[0]);
+            const isMatch = term && queryTerms.some(queryTerm =>
+                this.termMatches(term, queryTerm) || this.expandQueryTerm(queryTerm).has(term)
+            );
+
+            if (isMatch) {
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Build a highlighted context snippet from the post section that best
+     * matches the query, along with the heading it can deep-link to
+     */
+    getSearchSnippet(post, query) {
+        const documentEntry = this.searchIndex?.documents.find(doc => doc.url === post.url);
+        const queryTerms = textAnalysis.tokenize(SearchQuery.parse(query).highlightText());
+
+        if (!documentEntry?.sections || queryTerms.length === 0) return null;
+
+        let best = null;
+        documentEntry.sections.forEach(section => {
+            const matches = this.findTermMatches(section.text, queryTerms);
+            if (matches.length === 0) return;
+
+            // Prefer sections whose heading also mentions the query
+            const score = matches.length + 3 * this.findTermMatches(section.heading, queryTerms).length;
+            if (!best || score > best.score) {
+                best = { section, matches, score };
+            }
+        });
+
+        if (!best) return null;
+
+        const { section, matches } = best;
+        const text = section.text;
+        const contextLength = 80;
+
+        let start = Math.max(0, matches[0].start - contextLength);
+        let end = Math.min(text.length, matches[0].end + contextLength * 2);
+
+        // Snap the window to whole words
+        if (start > 0) {
+            start = text.indexOf(' ', start) + 1 || start;
+        }
+        if (end < text.length) {
+            const lastSpace = text.lastIndexOf(' ', end);
+            end = lastSpace > matches[0].end ? lastSpace : end;
+        }
+
+        const html = (start > 0 ? '… ' : '') +
+            this.highlightSearchTerms(text.slice(start, end), query) +
+            (end < text.length ? ' …' : '');
+
+        return { html, heading: section.heading, anchor: section.id };
+    }
+
     /**
      * Clear search and show all posts
      */
@@ -136,19 +429,24 @@ class SearchSystem {
 
         // Show results or no results message
         if (this.searchResults.length > 0) {
-            this.blogSystem.renderPostList(this.searchResults, recentPostsList);
+            const searchMatches = new Map(this.searchResults.map(post => [post.url, {
+                title: this.highlightSearchTerms(post.title, query),
+                snippet: this.getSearchSnippet(post, query)
+            }]));
+
+            this.blogSystem.renderPostList(this.searchResults, recentPostsList, searchMatches);
         } else {
+            const tagSuggestions = this.getTagSuggestions(query);
+
             recentPostsList.innerHTML = `
                 <li class="no-posts">
                     <div class="no-results">
                         <p>No posts found for "${utils.escapeHtml(query)}"</p>
+                        ${tagSuggestions.length > 0 ? `
                         <p class="search-suggestions">
                             Try searching for: 
-                            <button class="suggestion-btn" data-query="blockchain">blockchain</button>,
-                            <button class="suggestion-btn" data-query="crypto">crypto</button>,
-                            <button class="suggestion-btn" data-query="economics">economics</button>,
-                            <button class="suggestion-btn" data-query="ai">AI</button>
-                        </p>
+                            ${tagSuggestions.map(suggestion => `<button class="suggestion-btn" data-query="${utils.escapeHtml(suggestion.value)}">${utils.escapeHtml(suggestion.text)}</button>`).join(', ')}
+                        </p>` : ''}
                     </div>
                 </li>
             `;
@@ -212,60 +510,199 @@ class SearchSystem {
     /**
      * Initialize search from URL if present
      */
-    initializeFromURL() {
+    async initializeFromURL() {
         const searchQuery = this.getSearchFromURL();
         if (searchQuery && this.searchInput) {
+            await this.searchIndexReady;
             this.searchInput.value = searchQuery;
             this.performSearch(searchQuery);
         }
     }
 
     /**
-     * Get search suggestions based on available posts
+     * Get autocomplete suggestions for the clause being typed (the last one
+     * in the query). Tags, categories and title words that start with or
+     * contain it come first, followed by near misses within a typo or two.
+     * Each suggestion carries the full query it would produce.
      */
     getSearchSuggestions(query) {
-        if (!query || query.length < 2) return [];
+        const clauses = (query || '').split(/\s+/);
+        const lastClause = clauses.pop();
+        const [, negation, operator = '', partial] = /^(-?)(?:(tag|category):)?"?(.*)$/i.exec(lastClause);
+        const searchTerm = partial.toLowerCase();
 
-        const suggestions = new Set();
-        const searchTerm = query.toLowerCase();
+        if (searchTerm.length < 2) return [];
 
-        // Add matching post titles
-        this.posts.forEach(post => {
-            const words = post.title.toLowerCase().split(' ');
-            words.forEach(word => {
-                if (word.includes(searchTerm) && word.length > 2) {
-                    suggestions.add(word);
-                }
+        const quote = value => /\s/.test(value) ? `"${value}"` : value;
+        const candidates = new Map();
+        const addCandidate = (text, type, value) => {
+            if (!candidates.has(value)) {
+                candidates.set(value, { text, type, value });
+            }
+        };
+
+        if (operator.toLowerCase() !== 'category') {
+            this.getTagCounts().forEach((count, tag) => addCandidate(tag, 'tag', `tag:${quote(tag)}`));
+        }
+
+        if (operator.toLowerCase() !== 'tag') {
+            (this.blogSystem?.categories || []).forEach(({ slug, name }) => {
+                addCandidate(name, 'category', `category:${slug}`);
             });
-        });
+        }
 
-        // Add matching tags
-        this.posts.forEach(post => {
-            post.tags?.forEach(tag => {
-                if (tag.toLowerCase().includes(searchTerm)) {
-                    suggestions.add(tag);
-                }
+        if (!operator) {
+            this.posts.forEach(post => {
+                textAnalysis.words(post.title)
+                    .filter(word => word.length > 2 && !textAnalysis.stopWords.has(word))
+                    .forEach(word => addCandidate(word, 'word', word));
             });
+        }
+
+        // Rank: prefix match, then substring, then typo-tolerant prefix match
+        const maxTypos = textAnalysis.maxTypos(searchTerm.length);
+        const rank = text => {
+            const candidate = text.toLowerCase();
+            if (candidate.startsWith(searchTerm)) return 0;
+            if (candidate.includes(searchTerm)) return 1;
+
+            const distance = textAnalysis.editDistance(searchTerm, candidate.slice(0, searchTerm.length + 1), maxTypos);
+            return distance <= maxTypos ? 1 + distance : Infinity;
+        };
+
+        const prefix = clauses.length > 0 ? `${clauses.join(' ')} ` : '';
+
+        return Array.from(candidates.values())
+            .map(candidate => ({ ...candidate, rank: rank(candidate.text) }))
+            .filter(candidate => candidate.rank !== Infinity && candidate.text.toLowerCase() !== searchTerm)
+            .sort((a, b) => a.rank - b.rank || a.text.localeCompare(b.text))
+            .slice(0, 6)
+            .map(({ text, type, value }) => ({ text, type, value: `${prefix}${negation}${value}` }));
+    }
+
+    /**
+     * Count how many posts use each tag
+     */
+    getTagCounts() {
+        const counts = new Map();
+
+        this.posts.forEach(post => {
+            (post.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
         });
 
-        // Add matching categories
-        Object.values(this.blogSystem?.categories || {}).forEach(category => {
-            if (category.toLowerCase().includes(searchTerm)) {
-                suggestions.add(category.toLowerCase());
+        return counts;
+    }
+
+    /**
+     * Suggest tags for a query that found nothing: tags resembling the last
+     * word first, then the most used tags
+     */
+    getTagSuggestions(query, limit = 4) {
+        const similar = this.getSearchSuggestions(query.split(/\s+/).pop())
+            .filter(suggestion => suggestion.type === 'tag');
+        const popular = Array.from(this.getTagCounts().entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag]) => ({ text: tag, type: 'tag', value: /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}` }));
+
+        const seen = new Set();
+        return [...similar, ...popular]
+            .filter(suggestion => !seen.has(suggestion.value) && seen.add(suggestion.value))
+            .slice(0, limit);
+    }
+
+    /**
+     * Render the autocomplete listbox under the search input
+     */
+    showSuggestions(suggestions) {
+        if (!this.suggestionsList) return;
+
+        this.suggestions = suggestions;
+        this.activeSuggestion = -1;
+
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionsList.innerHTML = suggestions.map((suggestion, index) => `
+            <li id="search-suggestion-${index}" class="search-autocomplete-option" role="option" aria-selected="false" data-index="${index}">
+                <span class="search-autocomplete-text">${utils.escapeHtml(suggestion.text)}</span>
+                <span class="search-autocomplete-type">${suggestion.type}</span>
+            </li>
+        `).join('');
+
+        this.suggestionsList.hidden = false;
+        this.searchInput.setAttribute('aria-expanded', 'true');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Close the autocomplete listbox
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+
+        if (this.suggestionsList) {
+            this.suggestionsList.hidden = true;
+            this.suggestionsList.innerHTML = '';
+        }
+
+        this.searchInput?.setAttribute('aria-expanded', 'false');
+        this.searchInput?.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Move the highlighted option up or down, wrapping around the ends
+     */
+    moveActiveSuggestion(step) {
+        const count = this.suggestions.length;
+        if (this.activeSuggestion < 0) {
+            this.activeSuggestion = step > 0 ? 0 : count - 1;
+        } else {
+            this.activeSuggestion = (this.activeSuggestion + step + count) % count;
+        }
+
+        this.suggestionsList.querySelectorAll('[role="option"]').forEach((option, index) => {
+            const isActive = index === this.activeSuggestion;
+            option.setAttribute('aria-selected', String(isActive));
+            option.classList.toggle('active', isActive);
+            if (isActive) {
+                this.searchInput.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
             }
         });
+    }
+
+    /**
+     * Put a suggestion's query into the input and search for it
+     */
+    applySuggestion(suggestion) {
+        if (!suggestion) return;
 
-        return Array.from(suggestions).slice(0, 5);
+        this.searchInput.value = suggestion.value;
+        this.hideSuggestions();
+        this.performSearch(suggestion.value);
     }
 
     /**
-     * Highlight search terms in results
+     * Highlight search terms in results. Returns HTML with the text escaped
+     * and every word matching the query wrapped in <mark>.
      */
     highlightSearchTerms(text, query) {
-        if (!query || !text) return text;
-        
-        const regex = new RegExp(`(${utils.escapeHtml(query)})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
+        if (!text) return '';
+
+        const queryTerms = textAnalysis.tokenize(SearchQuery.parse(query).highlightText());
+        let html = '';
+        let lastIndex = 0;
+
+        this.findTermMatches(text, queryTerms).forEach(({ start, end }) => {
+            html += utils.escapeHtml(text.slice(lastIndex, start));
+            html += `<mark>${utils.escapeHtml(text.slice(start, end))}</mark>`;
+            lastIndex = end;
+        });
+
+        return html + utils.escapeHtml(text.slice(lastIndex));
     }
 }
 
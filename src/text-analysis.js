@@ -0,0 +1,212 @@
+/**
+ * Text Analysis - Tokenizing and stemming shared by the build and the browser
+ *
+ * blog-build.js uses this to build the search index and SearchSystem uses it
+ * to analyze queries, so both sides always agree on what a "term" is.
+ */
+
+const textAnalysis = {
+    stopWords: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+        'has', 'have', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or',
+        'so', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+        'this', 'to', 'was', 'we', 'were', 'which', 'will', 'with'
+    ]),
+
+    /**
+     * Lowercase, strip diacritics and split text into raw words
+     */
+    words(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    },
+
+    /**
+     * Split text into stemmed index terms, dropping stop words
+     */
+    tokenize(text) {
+        return this.words(text)
+            .filter(word => word.length > 1 && !this.stopWords.has(word))
+            .map(word => this.stem(word));
+    },
+
+    /**
+     * URL slug for a tag, so "Proof of Work", "proof-of-work" and
+     * "proof_of_work" are the same tag everywhere. Symbols that tell tags
+     * apart are spelled out first: "C++" is c-plus-plus, "C#" c-sharp and
+     * "Node.js" node-dot-js.
+     */
+    tagSlug(tag) {
+        const spelled = String(tag || '')
+            .replace(/\+/g, ' plus ')
+            .replace(/([a-z0-9])#/gi, '$1 sharp ')
+            .replace(/\.(?=[a-z0-9])/gi, ' dot ');
+        return this.words(spelled).join('-') || 'tag';
+    },
+
+    /**
+     * Number of typos tolerated when fuzzy matching a word of this length
+     */
+    maxTypos(length) {
+        if (length < 4) return 0;
+        return length < 7 ? 1 : 2;
+    },
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and
+     * swaps of adjacent letters. Stops early and returns max + 1 once the
+     * distance is known to exceed max.
+     */
+    editDistance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(distance);
+                rowMinimum = Math.min(rowMinimum, distance);
+            }
+
+            if (rowMinimum > max) return max + 1;
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    },
+
+    /**
+     * Porter stemmer (M.F. Porter, 1980)
+     */
+    stem(word) {
+        if (word.length < 3 || /[0-9]/.test(word)) {
+            return word;
+        }
+
+        const consonant = '[^aeiou]';
+        const vowel = '[aeiouy]';
+        const consonants = `${consonant}[^aeiouy]*`;
+        const vowels = `${vowel}[aeiou]*`;
+
+        const mGreaterThan0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+        const mEquals1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+        const mGreaterThan1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+        const hasVowel = new RegExp(`^(${consonants})?${vowel}`);
+        const endsCvc = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+        const step2Suffixes = {
+            ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+            bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+            ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+            fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+            logi: 'log'
+        };
+        const step3Suffixes = {
+            icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+        };
+
+        let stem = word;
+        let match;
+
+        const firstCharacterY = stem[0] === 'y';
+        if (firstCharacterY) {
+            stem = 'Y' + stem.slice(1);
+        }
+
+        // Step 1a: plurals
+        if ((match = /^(.+?)(ss|i)es$/.exec(stem))) {
+            stem = match[1] + match[2];
+        } else if ((match = /^(.+?)([^s])s$/.exec(stem))) {
+            stem = match[1] + match[2];
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        if ((match = /^(.+?)eed$/.exec(stem))) {
+            if (mGreaterThan0.test(match[1])) {
+                stem = stem.slice(0, -1);
+            }
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(stem))) {
+            if (hasVowel.test(match[1])) {
+                stem = match[1];
+                if (/(at|bl|iz)$/.test(stem)) {
+                    stem += 'e';
+                } else if (/([^aeiouylsz])\1$/.test(stem)) {
+                    stem = stem.slice(0, -1);
+                } else if (endsCvc.test(stem)) {
+                    stem += 'e';
+                }
+            }
+        }
+
+        // Step 1c: terminal y
+        if ((match = /^(.+?)y$/.exec(stem)) && hasVowel.test(match[1])) {
+            stem = match[1] + 'i';
+        }
+
+        // Step 2: double suffixes
+        match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(stem);
+        if (match && mGreaterThan0.test(match[1])) {
+            stem = match[1] + step2Suffixes[match[2]];
+        }
+
+        // Step 3: -ic-, -full, -ness etc.
+        match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(stem);
+        if (match && mGreaterThan0.test(match[1])) {
+            stem = match[1] + step3Suffixes[match[2]];
+        }
+
+        // Step 4: -ant, -ence etc.
+        match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(stem);
+        if (match) {
+            if (mGreaterThan1.test(match[1])) {
+                stem = match[1];
+            }
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(stem))) {
+            if (mGreaterThan1.test(match[1] + match[2])) {
+                stem = match[1] + match[2];
+            }
+        }
+
+        // Step 5: tidy up
+        if ((match = /^(.+?)e$/.exec(stem))) {
+            const base = match[1];
+            if (mGreaterThan1.test(base) || (mEquals1.test(base) && !endsCvc.test(base))) {
+                stem = base;
+            }
+        }
+
+        if (/ll$/.test(stem) && mGreaterThan1.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        if (firstCharacterY) {
+            stem = 'y' + stem.slice(1);
+        }
+
+        return stem;
+    }
+};
+
+// Export for the build script (Node) and for global use (browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = textAnalysis;
+} else {
+    window.textAnalysis = textAnalysis;
+}
@@ -0,0 +1,25 @@
+/**
+ * Tests for the shared text analysis in text-analysis.js
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textAnalysis = require('./text-analysis');
+
+test('tag slugs ignore case, spacing and separators', () => {
+    for (const tag of ['Proof of Work', 'proof-of-work', 'proof_of_work', '  PROOF  of work ']) {
+        assert.equal(textAnalysis.tagSlug(tag), 'proof-of-work', tag);
+    }
+    assert.equal(textAnalysis.tagSlug('Café'), 'cafe');
+    assert.equal(textAnalysis.tagSlug('!!!'), 'tag');
+});
+
+test('tag slugs keep symbol-only differences apart', () => {
+    const tags = ['C', 'C++', 'C#', 'Node.js', 'Node JS', '.NET', 'NET'];
+    const slugs = tags.map(tag => textAnalysis.tagSlug(tag));
+
+    assert.deepEqual(slugs, ['c', 'c-plus-plus', 'c-sharp', 'node-dot-js', 'node-js', 'dot-net', 'net']);
+    assert.equal(textAnalysis.tagSlug('node.js'), textAnalysis.tagSlug('Node.js'));
+});